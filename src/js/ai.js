@@ -1,8 +1,15 @@
 /**
  * AI Core Module for Echo Chrome Extension
  * Handles AI interaction and study material generation
+ * Uses the helpers in utils.js, which must be loaded first.
  */
 
+/**
+ * Version of the prompt template below.
+ * Bump this whenever the template changes so stored study modules record which prompt produced them.
+ */
+const PROMPT_VERSION = 7;
+
 /**
  * Master Technical Prompt Template
  * This is the comprehensive prompt that will be sent to the AI
@@ -16,12 +23,13 @@ You are an expert educational content creator specializing in creating comprehen
 
 2. **Key Terms Extraction**: Identify and extract 8-12 important terms, concepts, or phrases that are central to understanding the content. These should be the most significant learning objectives.
 
-3. **Quiz Creation**: Generate 5-7 multiple-choice questions that test understanding of the material. Questions should:
+3. **Quiz Creation**: Generate {{QUESTION_COUNT}} questions that test understanding of the material. Questions should:
    - Cover different aspects of the content
-   - Vary in difficulty (mix of recall and application)
-   - Have 4 options each (A, B, C, D)
+   - Match the difficulty level described below
+   - Mostly be multiple-choice with 4 options, plus at least two questions of the other types listed below
    - Include detailed explanations for each answer
    - Focus on the most important learning points
+   - Include a sourceTimestamp with the start and end time in seconds (taken from the transcript startTime values) of the part of the video where the answer is explained
 
 ## Response Format:
 You must respond with a valid JSON object in the following exact format:
@@ -32,6 +40,7 @@ You must respond with a valid JSON object in the following exact format:
   "quiz": {
     "questions": [
       {
+        "type": "multiple-choice",
         "question": "What is the main topic discussed in this video?",
         "options": [
           "Option A text",
@@ -40,156 +49,2035 @@ You must respond with a valid JSON object in the following exact format:
           "Option D text"
         ],
         "correctAnswer": 0,
-        "explanation": "Detailed explanation of why this answer is correct and what the other options represent."
+        "explanation": "Detailed explanation of why this answer is correct and what the other options represent.",
+        "sourceTimestamp": { "start": 120, "end": 150 }
+      },
+      {
+        "type": "true-false",
+        "question": "Statement about the content.",
+        "correctAnswer": false,
+        "explanation": "Why the statement is false.",
+        "sourceTimestamp": { "start": 200, "end": 230 }
+      }
+    ]
+  }
+}
+
+## Question Types:
+Every question has "type", "question", "explanation" and "sourceTimestamp". The other fields depend on the type:
+
+- "multiple-choice": "options" (exactly 4 strings) and "correctAnswer" (index of the correct option, 0-3)
+- "true-false": "correctAnswer" (true or false); the question is a statement to judge
+- "multi-select": "options" (3-6 strings) and "correctAnswers" (array with the indexes of every correct option)
+- "fill-in-blank": a question containing "_____" where a word or short phrase is missing, "correctAnswer" (the missing text) and optionally "acceptableAnswers" (other accepted spellings)
+- "ordering": "items" (3-6 steps or events, listed in the correct order); they are shuffled for the learner
+- "short-answer": an "explain in your own words" question, with "modelAnswer" (a model answer in 1-3 sentences) and "keywords" (3-6 words a good answer must mention)
+
+## Content Data:
+The following data contains the transcript, any user highlights, and the user's timestamped notes. Give extra weight to highlighted passages and to the topics the user took notes on:
+
+\`\`\`json
+{{TRANSCRIPT_DATA}}
+\`\`\`
+
+## Difficulty Level: {{DIFFICULTY}}
+
+{{DIFFICULTY_INSTRUCTIONS}}
+
+Please analyze this content and generate the study materials according to the specifications above. Ensure the JSON response is valid and complete.
+`;
+
+/**
+ * Chapter Prompt Template
+ * Used for each time-based chunk of a long transcript (the "map" step)
+ */
+const CHUNK_PROMPT_TEMPLATE = `
+You are an expert educational content creator. The following is one section ({{CHUNK_NUMBER}} of {{CHUNK_COUNT}}) of a longer video transcript, covering {{CHUNK_START}} to {{CHUNK_END}}. Analyze only this section.
+
+## Instructions:
+
+1. **Chapter Title**: Give the section a short, descriptive title (at most 8 words).
+2. **Chapter Summary**: Summarize the main points of this section in 2-4 sentences.
+3. **Key Terms**: Extract 3-6 important terms or concepts introduced in this section.
+4. **Candidate Questions**: Write 2-3 multiple-choice questions about this section, each with 4 options, the index of the correct option, a detailed explanation, and a sourceTimestamp with the start and end time in seconds (taken from the transcript startTime values).
+
+## Response Format:
+You must respond with a valid JSON object in the following exact format:
+
+{
+  "title": "Chapter title",
+  "summary": "Summary of this section...",
+  "keyTerms": ["term1", "term2", "term3"],
+  "quiz": {
+    "questions": [
+      {
+        "question": "Question text?",
+        "options": ["Option A text", "Option B text", "Option C text", "Option D text"],
+        "correctAnswer": 0,
+        "explanation": "Why this answer is correct.",
+        "sourceTimestamp": { "start": 120, "end": 150 }
       }
     ]
   }
 }
 
-## Content Data:
-The following data contains the transcript and any user highlights:
+## Section Data:
+The following data contains this section's transcript and any user highlights and timestamped notes that fall within it:
+
+\`\`\`json
+{{TRANSCRIPT_DATA}}
+\`\`\`
+
+## Difficulty Level: {{DIFFICULTY}}
+
+{{DIFFICULTY_INSTRUCTIONS}}
+
+Ensure the JSON response is valid and complete.
+`;
+
+/**
+ * Merge Prompt Template
+ * Combines the chapter summaries of a long video into one overview (the "reduce" step)
+ */
+const MERGE_PROMPT_TEMPLATE = `
+You are an expert educational content creator. The following are the chapter summaries of a long video, in order. Write a single, coherent summary of the whole video (one or two paragraphs) that explains how the chapters build on each other.
+
+## Response Format:
+You must respond with a valid JSON object in the following exact format:
+
+{
+  "summary": "Summary of the whole video..."
+}
+
+## Chapters:
+
+\`\`\`json
+{{CHAPTER_DATA}}
+\`\`\`
+`;
+
+/**
+ * Difficulty levels: the kind of questions asked at each level and how many
+ */
+const DIFFICULTY_LEVELS = {
+    easy: {
+        name: 'easy',
+        label: 'Easy',
+        questionCount: 5,
+        instructions: 'Focus on recall. Ask about facts, definitions and statements made directly in the video, ' +
+            'in the order they appear. Make the wrong options clearly distinguishable from the correct one.'
+    },
+    medium: {
+        name: 'medium',
+        label: 'Medium',
+        questionCount: 6,
+        instructions: 'Focus on understanding and application. Ask the learner to explain why something works, ' +
+            'to apply a concept to a new example, or to pick the right approach for a situation. ' +
+            'Wrong options should be plausible misconceptions.'
+    },
+    hard: {
+        name: 'hard',
+        label: 'Hard',
+        questionCount: 7,
+        instructions: 'Focus on analysis and synthesis. Ask questions that combine ideas from different parts of the video, ' +
+            'compare concepts, predict consequences, or evaluate trade-offs. ' +
+            'Wrong options should be subtly incorrect and require careful reasoning to rule out.'
+    }
+};
+
+/**
+ * Get the settings for a difficulty level, defaulting to medium
+ * @param {string} difficulty - 'easy', 'medium' or 'hard'
+ * @returns {Object} { name, label, questionCount, instructions }
+ */
+function getDifficultyLevel(difficulty) {
+    return DIFFICULTY_LEVELS[difficulty] || DIFFICULTY_LEVELS.medium;
+}
+
+/**
+ * Retry Prompt Template
+ * Appended to the original prompt when the previous response could not be used as-is
+ */
+const RETRY_PROMPT_TEMPLATE = `
+
+## Previous Attempt:
+Your previous response had the following problems:
+
+{{ERRORS}}
+
+Previous response:
+
+{{PREVIOUS_RESPONSE}}
+
+Respond again with the complete, corrected JSON object in the exact format specified above. Respond with JSON only.
+`;
+
+/**
+ * Number of times the model is asked to correct a response that failed validation
+ */
+const MAX_GENERATION_RETRIES = 2;
+
+/**
+ * Labels such as "A.", "b)" or "(C)" that models put in front of options
+ */
+const OPTION_LABEL_PATTERN = /^\s*(?:\(?[A-Fa-f]\)|[A-Fa-f][.:])\s+/;
+
+/**
+ * Supported question types; questions without a type are multiple-choice
+ */
+const QUESTION_TYPES = ['multiple-choice', 'true-false', 'multi-select', 'fill-in-blank', 'ordering', 'short-answer'];
+
+/**
+ * Share of a short answer's keywords that must be mentioned for it to count as correct
+ */
+const SHORT_ANSWER_PASS_RATIO = 0.6;
+
+/**
+ * Grading Prompt Template
+ * Used to grade a free-text answer against the reference answer and the transcript
+ */
+const GRADING_PROMPT_TEMPLATE = `
+You are a fair and encouraging teacher grading a student's answer to an "explain in your own words" question about a video.
+
+## Instructions:
+
+1. Compare the student's answer with the reference answer and the transcript excerpt.
+2. Judge understanding, not wording: a correct explanation in different words earns full marks.
+3. Give a score from 0 to 100, list the important points the student missed or got wrong, and write a short explanation (1-2 sentences) addressed to the student.
+
+## Response Format:
+You must respond with a valid JSON object in the following exact format:
+
+{
+  "score": 75,
+  "missed": ["Point the student missed"],
+  "feedback": "Short explanation of the grade."
+}
+
+## Grading Data:
+
+\`\`\`json
+{{GRADING_DATA}}
+\`\`\`
+`;
+
+/**
+ * Share of the points an AI-graded answer needs to count as correct
+ */
+const AI_GRADE_PASS_SCORE = 0.7;
+
+/**
+ * Chat Prompt Template
+ * Used to answer a question about the video from retrieved transcript passages
+ */
+const CHAT_PROMPT_TEMPLATE = `
+You are a helpful tutor answering a learner's question about a video they are studying. Answer using only the numbered transcript passages below.
+
+## Instructions:
+
+1. Answer in a few clear sentences, in plain text (no JSON, no Markdown headings).
+2. After every statement taken from a passage, cite it with its number in square brackets, e.g. [2].
+3. If the passages do not contain the answer, say that the video does not seem to cover it. Do not make up an answer.
+4. Use the earlier conversation only to understand follow-up questions.
+
+## Transcript Passages:
+
+{{PASSAGES}}
+
+## Earlier Conversation:
+
+{{HISTORY}}
+
+## Question:
+
+{{QUESTION}}
+`;
+
+/**
+ * Length of the transcript passages searched when answering questions, in seconds
+ */
+const CHAT_PASSAGE_DURATION = 45;
+
+/**
+ * Transcripts longer than this (in characters of text) are generated chapter by chapter,
+ * so that each prompt fits the context window of on-device models
+ */
+const MAX_SINGLE_PROMPT_CHARS = 12000;
+
+/**
+ * Limits for a single chapter of a long transcript
+ */
+const CHUNK_MAX_CHARS = 8000;
+const CHUNK_MAX_DURATION = 10 * 60; // 10 minutes
+
+/**
+ * Generate study module using AI
+ * @param {Array} transcriptData - Array of transcript segments with timestamps and text
+ * @param {Array} highlights - Array of user highlights ({ text, note, timestamp }) or highlighted strings
+ * @param {string} difficulty - Difficulty level: 'easy', 'medium', 'hard'
+ * @param {Object} options - Additional context
+ * @param {Array} options.notes - User's timestamped notes ({ text, timestamp })
+ * @param {Object} options.provider - AI provider to use (defaults to Chrome's built-in model)
+ * @param {AbortSignal} options.signal - Aborts the generation; the returned promise then rejects with an AbortError
+ * @param {Function} options.onProgress - Called with a partial module ({ summary, keyTerms, questions, chapters })
+ *     whenever a new section of the response is complete
+ * @returns {Promise<Object>} Study module with summary, key terms, and quiz
+ */
+async function generateStudyModule(transcriptData, highlights = [], difficulty = 'medium', options = {}) {
+    try {
+        // Validate input data
+        if (!transcriptData || !Array.isArray(transcriptData) || transcriptData.length === 0) {
+            throw new Error('Invalid transcript data provided');
+        }
+
+        const provider = options.provider || createAIProvider();
+
+        // Long transcripts do not fit in one prompt, so they are processed chapter by chapter
+        if (calculateTranscriptLength(transcriptData) > MAX_SINGLE_PROMPT_CHARS) {
+            return await generateChunkedStudyModule(transcriptData, highlights, difficulty, {
+                ...options,
+                provider: provider
+            });
+        }
+
+        // Prepare the data for injection into the prompt
+        const jsonData = {
+            transcript: transcriptData,
+            highlights: highlights.map(formatHighlightForPrompt),
+            notes: (options.notes || []).map(note => ({ timestamp: note.timestamp, text: note.text })),
+            metadata: {
+                totalSegments: transcriptData.length,
+                totalDuration: calculateTotalDuration(transcriptData),
+                difficulty: difficulty,
+                timestamp: Date.now()
+            }
+        };
+
+        // Format the prompt with the data
+        const level = getDifficultyLevel(difficulty);
+        const formattedPrompt = MASTER_PROMPT_TEMPLATE
+            .replace('{{QUESTION_COUNT}}', String(level.questionCount))
+            .replace('{{TRANSCRIPT_DATA}}', JSON.stringify(jsonData, null, 2))
+            .replace('{{DIFFICULTY}}', level.label)
+            .replace('{{DIFFICULTY_INSTRUCTIONS}}', level.instructions);
+
+        console.log('Sending prompt to AI:', formattedPrompt);
+
+        // Call the configured AI provider, streaming when it supports it
+        let response = await streamStudyModuleResponse(provider, formattedPrompt, options);
+        let result = null;
+        let best = null;
+
+        // Repair and validate the response, asking the model to fix what cannot be repaired
+        for (let attempt = 1; attempt <= MAX_GENERATION_RETRIES + 1; attempt++) {
+            result = processStudyModuleResponse(response, transcriptData);
+            result.attempts = attempt;
+
+            if (result.studyModule &&
+                (!best || result.studyModule.quiz.questions.length > best.studyModule.quiz.questions.length)) {
+                best = result;
+            }
+
+            if (result.errors.length === 0 || attempt > MAX_GENERATION_RETRIES) break;
+
+            console.warn(`Study module attempt ${attempt} failed validation:`, result.errors);
+
+            const retryPrompt = formattedPrompt + RETRY_PROMPT_TEMPLATE
+                .replace('{{ERRORS}}', () => result.errors.map(error => `- ${error}`).join('\n'))
+                .replace('{{PREVIOUS_RESPONSE}}', () => (response || '').slice(0, 4000));
+
+            response = await provider.prompt(retryPrompt, { signal: options.signal });
+        }
+
+        if (!best) {
+            throw new Error(`AI response could not be used: ${result.errors.join('; ')}`);
+        }
+
+        const studyModule = best.studyModule;
+        studyModule.quiz.questions = adjustQuestionDifficulty(studyModule.quiz.questions, difficulty);
+        studyModule.repairReport = {
+            attempts: result.attempts,
+            repairs: best.repairs,
+            droppedQuestions: best.droppedQuestions
+        };
+        
+        console.log('Generated study module:', studyModule);
+        return studyModule;
+
+    } catch (error) {
+        // Cancellation is not a failure, so it must not produce a fallback module
+        if (isAbortError(error)) {
+            throw error;
+        }
+
+        console.error('Error generating study module:', error);
+        
+        // Return a fallback study module if AI fails
+        return generateFallbackStudyModule(transcriptData, difficulty);
+    }
+}
+
+/**
+ * Generate a study module for a long transcript with a map-reduce approach:
+ * each time-based chunk gets its own summary, key terms and candidate questions,
+ * which are then merged and deduplicated into one module with chapters
+ * @param {Array} transcriptData - Transcript segments
+ * @param {Array} highlights - User highlights
+ * @param {string} difficulty - Difficulty level
+ * @param {Object} options - { notes, provider }
+ * @returns {Promise<Object>} Study module with summary, key terms, quiz and chapters
+ */
+async function generateChunkedStudyModule(transcriptData, highlights, difficulty, options) {
+    const chunks = splitTranscriptIntoChunks(transcriptData);
+    const chapters = [];
+
+    // Map: process each chunk on its own
+    for (let i = 0; i < chunks.length; i++) {
+        throwIfAborted(options.signal);
+
+        const chunk = chunks[i];
+        const chunkData = {
+            transcript: chunk.segments.map(segment => ({ startTime: segment.startTime, text: segment.text })),
+            highlights: filterByTimeRange(highlights, chunk, 'startTime').map(formatHighlightForPrompt),
+            notes: filterByTimeRange(options.notes || [], chunk, 'time')
+                .map(note => ({ timestamp: note.timestamp, text: note.text }))
+        };
+
+        const chunkPrompt = CHUNK_PROMPT_TEMPLATE
+            .replace('{{CHUNK_NUMBER}}', String(i + 1))
+            .replace('{{CHUNK_COUNT}}', String(chunks.length))
+            .replace('{{CHUNK_START}}', formatTime(chunk.startTime))
+            .replace('{{CHUNK_END}}', formatTime(chunk.endTime))
+            .replace('{{TRANSCRIPT_DATA}}', () => JSON.stringify(chunkData))
+            .replace('{{DIFFICULTY}}', getDifficultyLevel(difficulty).label)
+            .replace('{{DIFFICULTY_INSTRUCTIONS}}', getDifficultyLevel(difficulty).instructions);
+
+        chapters.push(await generateChapter(chunk, chunkPrompt, options.provider, i, options.signal));
+
+        if (options.onProgress) {
+            options.onProgress({
+                summary: null,
+                keyTerms: mergeKeyTerms(chapters.map(chapter => chapter.keyTerms)),
+                questions: mergeChapterQuestions(chapters),
+                chapters: chapters.slice(),
+                totalChapters: chunks.length
+            });
+        }
+    }
+
+    // Reduce: merge chapters into a single module
+    const questions = mergeChapterQuestions(chapters);
+    const keyTerms = mergeKeyTerms(chapters.map(chapter => chapter.keyTerms));
+    const summary = await generateMergedSummary(chapters, options.provider, options.signal);
+
+    const studyModule = {
+        summary: summary,
+        keyTerms: keyTerms,
+        // Long videos keep all merged questions rather than the per-level count
+        quiz: { questions: adjustQuestionDifficulty(questions, difficulty, questions.length) },
+        chapters: chapters.map(chapter => ({
+            title: chapter.title,
+            startTime: chapter.startTime,
+            endTime: chapter.endTime,
+            summary: chapter.summary
+        })),
+        repairReport: {
+            attempts: 1,
+            repairs: chapters.flatMap(chapter => chapter.repairs.map(repair => `${chapter.title}: ${repair}`)),
+            droppedQuestions: chapters.flatMap(chapter => chapter.droppedQuestions)
+        }
+    };
+
+    if (questions.length === 0) {
+        // No chapter produced usable questions, so fall back to heuristic ones
+        studyModule.quiz = generateBasicQuiz(transcriptData, difficulty);
+    }
+
+    console.log('Generated chunked study module:', studyModule);
+    return studyModule;
+}
+
+/**
+ * Generate the content for one chapter, falling back to a heuristic summary if the AI fails
+ * @returns {Promise<Object>} { title, startTime, endTime, summary, keyTerms, questions }
+ */
+async function generateChapter(chunk, chunkPrompt, provider, index, signal) {
+    const chapter = {
+        title: `Part ${index + 1}`,
+        startTime: chunk.startTime,
+        endTime: chunk.endTime,
+        summary: '',
+        keyTerms: [],
+        questions: [],
+        repairs: [],
+        droppedQuestions: []
+    };
+
+    try {
+        const response = await provider.prompt(chunkPrompt, { signal: signal });
+        if (!response) {
+            throw new Error('No response received from AI');
+        }
+
+        const { data: parsed, repairs } = parseAIResponseWithRepairs(response);
+        normalizeStudyModule(parsed, repairs);
+        chapter.repairs = repairs;
+
+        if (!parsed.summary || typeof parsed.summary !== 'string') {
+            throw new Error('Chapter must have a summary string');
+        }
+
+        const candidateQuestions = parsed.quiz && Array.isArray(parsed.quiz.questions) ? parsed.quiz.questions : [];
+
+        chapter.title = typeof parsed.title === 'string' && parsed.title.trim() ? parsed.title.trim() : chapter.title;
+        chapter.summary = parsed.summary;
+        chapter.keyTerms = Array.isArray(parsed.keyTerms) ? parsed.keyTerms.filter(term => typeof term === 'string') : [];
+
+        // Keep only the valid questions of this chapter
+        chapter.questions = candidateQuestions.filter((question, questionIndex) => {
+            try {
+                validateQuestion(question, questionIndex, chunk.segments);
+                return true;
+            } catch (error) {
+                console.warn(`Dropping question from chapter ${index + 1}:`, error.message);
+                chapter.droppedQuestions.push({ question: getQuestionText(question), error: error.message });
+                return false;
+            }
+        });
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+
+        console.error(`Error generating chapter ${index + 1}:`, error);
+
+        chapter.summary = generateBasicSummary(chunk.segments);
+        chapter.keyTerms = extractKeyTermsFromTranscript(chunk.segments);
+    }
+
+    return chapter;
+}
+
+/**
+ * Ask the AI to combine chapter summaries into one summary, or join them if it fails
+ */
+async function generateMergedSummary(chapters, provider, signal) {
+    const chapterData = chapters.map(chapter => ({
+        title: chapter.title,
+        start: formatTime(chapter.startTime),
+        summary: chapter.summary
+    }));
+
+    try {
+        const mergePrompt = MERGE_PROMPT_TEMPLATE
+            .replace('{{CHAPTER_DATA}}', () => JSON.stringify(chapterData, null, 2));
+
+        const parsed = parseAIResponse(await provider.prompt(mergePrompt, { signal: signal }));
+        if (!parsed.summary || typeof parsed.summary !== 'string') {
+            throw new Error('Merged summary must be a string');
+        }
+        return parsed.summary;
+    } catch (error) {
+        if (isAbortError(error)) {
+            throw error;
+        }
+
+        console.error('Error merging chapter summaries:', error);
+        return chapters.map(chapter => `${chapter.title}: ${chapter.summary}`).join(' ');
+    }
+}
+
+/**
+ * Split a transcript into consecutive chunks bounded by duration and text length
+ * @param {Array} transcriptData - Transcript segments
+ * @param {number} maxChars - Maximum characters of text per chunk
+ * @param {number} maxDuration - Maximum duration of a chunk in seconds
+ * @returns {Array} Chunks with segments, startTime and endTime
+ */
+function splitTranscriptIntoChunks(transcriptData, maxChars = CHUNK_MAX_CHARS, maxDuration = CHUNK_MAX_DURATION) {
+    const chunks = [];
+    let current = null;
+
+    transcriptData.forEach(segment => {
+        const startTime = segment.startTime || 0;
+        const exceedsLimits = current && (
+            current.length + segment.text.length > maxChars ||
+            startTime - current.startTime >= maxDuration
+        );
+
+        if (!current || exceedsLimits) {
+            current = { segments: [], startTime: startTime, endTime: startTime, length: 0 };
+            chunks.push(current);
+        }
+
+        current.segments.push(segment);
+        current.endTime = startTime + (segment.duration || 0);
+        current.length += segment.text.length;
+    });
+
+    // Each chunk ends where the next one starts
+    chunks.forEach((chunk, index) => {
+        if (index < chunks.length - 1) {
+            chunk.endTime = chunks[index + 1].startTime;
+        }
+        delete chunk.length;
+    });
+
+    return chunks;
+}
+
+/**
+ * Keep the items whose time falls inside a chunk; items without a time are kept everywhere
+ */
+function filterByTimeRange(items, chunk, timeField) {
+    return items.filter(item => {
+        const time = typeof item === 'object' ? item[timeField] : null;
+        if (typeof time !== 'number') return true;
+        return time >= chunk.startTime && time < chunk.endTime + 1;
+    });
+}
+
+/**
+ * Merge the key terms of all chapters, preferring terms that appear in several chapters
+ * @param {Array} termLists - One array of terms per chapter
+ * @param {number} maxTerms - Maximum number of terms to keep
+ * @returns {Array} Deduplicated key terms
+ */
+function mergeKeyTerms(termLists, maxTerms = 12) {
+    const terms = new Map();
+
+    termLists.forEach((termList, chapterIndex) => {
+        termList.forEach(term => {
+            const key = term.trim().toLowerCase();
+            if (!key) return;
+
+            if (!terms.has(key)) {
+                terms.set(key, { term: term.trim(), count: 0, firstChapter: chapterIndex });
+            }
+            terms.get(key).count++;
+        });
+    });
+
+    return Array.from(terms.values())
+        .sort((a, b) => b.count - a.count || a.firstChapter - b.firstChapter)
+        .slice(0, maxTerms)
+        .map(entry => entry.term);
+}
+
+/**
+ * Merge candidate questions from all chapters, dropping near-duplicates and
+ * taking questions from each chapter in turn so the quiz covers the whole video
+ * @param {Array} chapters - Chapters with their candidate questions
+ * @returns {Array} Merged questions
+ */
+function mergeChapterQuestions(chapters) {
+    const maxQuestions = Math.min(15, Math.max(7, chapters.length * 2));
+    const queues = chapters.map(chapter => chapter.questions.slice());
+    const merged = [];
+
+    while (merged.length < maxQuestions && queues.some(queue => queue.length > 0)) {
+        queues.forEach(queue => {
+            if (merged.length >= maxQuestions || queue.length === 0) return;
+
+            const question = queue.shift();
+            const isDuplicate = merged.some(existing =>
+                calculateTextSimilarity(existing.question, question.question) >= 0.6
+            );
+
+            if (!isDuplicate) {
+                merged.push(question);
+            }
+        });
+    }
+
+    return merged;
+}
+
+/**
+ * Jaccard similarity between the word sets of two strings (0 to 1)
+ */
+function calculateTextSimilarity(textA, textB) {
+    const wordsA = new Set(splitWords(textA));
+    const wordsB = new Set(splitWords(textB));
+
+    if (wordsA.size === 0 && wordsB.size === 0) return 1;
+
+    let shared = 0;
+    wordsA.forEach(word => {
+        if (wordsB.has(word)) shared++;
+    });
+
+    return shared / (wordsA.size + wordsB.size - shared);
+}
+
+/**
+ * Total number of characters of transcript text
+ */
+function calculateTranscriptLength(transcriptData) {
+    return transcriptData.reduce((total, segment) => total + (segment.text || '').length, 0);
+}
+
+/**
+ * Send the study module prompt, reading the response as a stream when the provider supports it
+ * and reporting each section of the module as soon as it is complete
+ * @param {Object} provider - AI provider
+ * @param {string} prompt - Formatted prompt
+ * @param {Object} options - { signal, onProgress }
+ * @returns {Promise<string>} Complete response text
+ */
+async function streamStudyModuleResponse(provider, prompt, options = {}) {
+    if (typeof provider.promptStreaming !== 'function') {
+        return await provider.prompt(prompt, { signal: options.signal });
+    }
+
+    let response = '';
+    let reportedSections = 0;
+
+    for await (const chunk of provider.promptStreaming(prompt, { signal: options.signal })) {
+        response += chunk;
+
+        if (!options.onProgress) continue;
+
+        // Only report when a section was completed by this chunk
+        const partial = parsePartialStudyModule(response);
+        const completedSections = (partial.summary !== null ? 1 : 0) +
+            (partial.keyTerms !== null ? 1 : 0) +
+            partial.questions.length;
+
+        if (completedSections > reportedSections) {
+            reportedSections = completedSections;
+            options.onProgress(partial);
+        }
+    }
+
+    throwIfAborted(options.signal);
+    return response;
+}
+
+/**
+ * Extract the sections that are already complete from a partially received study module
+ * @param {string} text - Response text received so far
+ * @returns {Object} { summary, keyTerms, questions } with null (or no questions) for missing sections
+ */
+function parsePartialStudyModule(text) {
+    const summary = extractCompleteJsonValue(text, 'summary');
+    const keyTerms = extractCompleteJsonValue(text, 'keyTerms');
+
+    return {
+        summary: typeof summary === 'string' ? summary : null,
+        keyTerms: Array.isArray(keyTerms) ? keyTerms.filter(term => typeof term === 'string') : null,
+        questions: extractCompleteArrayItems(text, 'questions').filter((question, index) => {
+            try {
+                validateQuestion(normalizeQuestion(question, index), index);
+                return true;
+            } catch (error) {
+                return false;
+            }
+        })
+    };
+}
+
+/**
+ * Find where the value of a JSON key starts in partial JSON text
+ * @returns {number} Index of the first character of the value, or -1
+ */
+function findJsonValueStart(text, key) {
+    const match = new RegExp(`"${key}"\\s*:\\s*`).exec(text);
+    if (!match) return -1;
+
+    const start = match.index + match[0].length;
+    return start < text.length ? start : -1;
+}
+
+/**
+ * Find where a JSON string, object or array value ends, ignoring brackets inside strings
+ * @returns {number} Index just past the value, or -1 if the value is not complete yet
+ */
+function findJsonValueEnd(text, start) {
+    const opening = text[start];
+
+    if (opening === '"') {
+        for (let i = start + 1; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+            } else if (text[i] === '"') {
+                return i + 1;
+            }
+        }
+        return -1;
+    }
+
+    if (opening !== '{' && opening !== '[') return -1;
+
+    let depth = 0;
+    let inString = false;
+
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+            if (char === '\\') {
+                i++;
+            } else if (char === '"') {
+                inString = false;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+            if (depth === 0) {
+                return i + 1;
+            }
+        }
+    }
+
+    return -1;
+}
+
+/**
+ * Parse the value of a JSON key once it has been received completely
+ * @returns {*} Parsed value, or null if it is missing or incomplete
+ */
+function extractCompleteJsonValue(text, key) {
+    const start = findJsonValueStart(text, key);
+    if (start === -1) return null;
+
+    const end = findJsonValueEnd(text, start);
+    if (end === -1) return null;
+
+    try {
+        return JSON.parse(text.slice(start, end));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parse the items of a JSON array that have been received completely, even if the array is not
+ * @returns {Array} Complete items
+ */
+function extractCompleteArrayItems(text, key) {
+    const start = findJsonValueStart(text, key);
+    if (start === -1 || text[start] !== '[') return [];
+
+    const items = [];
+    let i = start + 1;
+
+    while (i < text.length) {
+        while (i < text.length && /[\s,]/.test(text[i])) i++;
+        if (i >= text.length || text[i] === ']') break;
+
+        const end = findJsonValueEnd(text, i);
+        if (end === -1) break;
+
+        try {
+            items.push(JSON.parse(text.slice(i, end)));
+        } catch (error) {
+            break;
+        }
+        i = end;
+    }
+
+    return items;
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ */
+function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new DOMException('Generation cancelled', 'AbortError');
+    }
+}
+
+/**
+ * Check whether an error was caused by aborting a request
+ */
+function isAbortError(error) {
+    return Boolean(error) && error.name === 'AbortError';
+}
+
+/**
+ * AI provider backed by Chrome's built-in Prompt API (Gemini Nano)
+ */
+class ChromePromptProvider {
+    constructor() {
+        this.name = 'chrome';
+    }
+
+    /**
+     * Get the Prompt API entry point; its location differs between Chrome versions
+     */
+    getLanguageModelApi() {
+        if (typeof LanguageModel !== 'undefined') {
+            return LanguageModel;
+        }
+        if (typeof window !== 'undefined' && window.ai && window.ai.languageModel) {
+            return window.ai.languageModel;
+        }
+        return null;
+    }
+
+    /**
+     * Check whether the on-device model can be used
+     */
+    async isAvailable() {
+        const api = this.getLanguageModelApi();
+        if (!api) return false;
+
+        if (typeof api.availability === 'function') {
+            return (await api.availability()) !== 'unavailable';
+        }
+        if (typeof api.capabilities === 'function') {
+            return (await api.capabilities()).available !== 'no';
+        }
+        return true;
+    }
+
+    /**
+     * Send a prompt and return the complete response text
+     */
+    async prompt(text, options = {}) {
+        const api = this.getLanguageModelApi();
+        if (!api) {
+            throw new Error('Chrome built-in AI (Prompt API) is not available in this browser');
+        }
+
+        const session = await api.create({ signal: options.signal });
+        try {
+            return await session.prompt(text, { signal: options.signal });
+        } finally {
+            session.destroy();
+        }
+    }
+
+    /**
+     * Send a prompt and yield the response text as it is generated
+     */
+    async *promptStreaming(text, options = {}) {
+        const api = this.getLanguageModelApi();
+        if (!api) {
+            throw new Error('Chrome built-in AI (Prompt API) is not available in this browser');
+        }
+
+        const session = await api.create({ signal: options.signal });
+        try {
+            let received = '';
+
+            for await (const chunk of session.promptStreaming(text, { signal: options.signal })) {
+                // Early Chrome versions streamed the whole response so far instead of the new text
+                if (received && chunk.startsWith(received)) {
+                    yield chunk.slice(received.length);
+                    received = chunk;
+                } else {
+                    yield chunk;
+                    received += chunk;
+                }
+            }
+        } finally {
+            session.destroy();
+        }
+    }
+}
+
+/**
+ * AI provider for any OpenAI-compatible chat completions endpoint,
+ * including locally hosted models (Ollama, LM Studio, llama.cpp server)
+ */
+class OpenAICompatibleProvider {
+    constructor({ baseUrl, model, apiKey } = {}) {
+        this.name = 'openai';
+        this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+        this.model = model;
+        this.apiKey = apiKey;
+    }
+
+    /**
+     * Check whether the endpoint is configured
+     */
+    async isAvailable() {
+        return Boolean(this.baseUrl && this.model);
+    }
+
+    /**
+     * Build the request headers
+     */
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    /**
+     * Send a prompt and return the complete response text
+     */
+    async prompt(text, options = {}) {
+        if (!(await this.isAvailable())) {
+            throw new Error('OpenAI-compatible endpoint is not configured');
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            signal: options.signal,
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{ role: 'user', content: text }],
+                temperature: 0.3
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`AI endpoint returned HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        const content = data.choices && data.choices[0] && data.choices[0].message ?
+            data.choices[0].message.content : null;
+
+        if (!content) {
+            throw new Error('AI endpoint returned an empty response');
+        }
+
+        return content;
+    }
+
+    /**
+     * Send a prompt and yield the response text as it is generated (server-sent events)
+     */
+    async *promptStreaming(text, options = {}) {
+        if (!(await this.isAvailable())) {
+            throw new Error('OpenAI-compatible endpoint is not configured');
+        }
+
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this.getHeaders(),
+            signal: options.signal,
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{ role: 'user', content: text }],
+                temperature: 0.3,
+                stream: true
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`AI endpoint returned HTTP ${response.status}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const data = line.replace(/^data:\s*/, '').trim();
+                if (!line.startsWith('data:') || !data) continue;
+                if (data === '[DONE]') return;
+
+                // Servers and proxies may send keep-alive or other non-JSON data lines; skip them
+                let event;
+                try {
+                    event = JSON.parse(data);
+                } catch (error) {
+                    console.warn('Skipping unreadable stream event:', data);
+                    continue;
+                }
+
+                const delta = event.choices && event.choices[0] && event.choices[0].delta ?
+                    event.choices[0].delta.content : null;
+
+                if (delta) {
+                    yield delta;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Deterministic AI provider for tests and offline development.
+ * Returns a fixed response, or builds a study module from the transcript embedded in the prompt.
+ */
+class MockAIProvider {
+    /**
+     * @param {Object} options
+     * @param {string|Function} options.response - Fixed response text, or a function (prompt) => text
+     * @param {number} options.streamChunkSize - Characters per streamed chunk
+     * @param {number} options.streamDelay - Milliseconds between streamed chunks
+     */
+    constructor({ response, streamChunkSize = 40, streamDelay = 20 } = {}) {
+        this.name = 'mock';
+        this.response = response;
+        this.streamChunkSize = streamChunkSize;
+        this.streamDelay = streamDelay;
+        this.prompts = [];
+    }
+
+    /**
+     * The mock provider is always available
+     */
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * Record the prompt and return the mock response
+     */
+    async prompt(text) {
+        this.prompts.push(text);
+
+        if (typeof this.response === 'function') {
+            return this.response(text);
+        }
+        if (typeof this.response === 'string') {
+            return this.response;
+        }
+
+        // Chat prompts are answered by quoting the first passage
+        const passage = /^\[1\] \([\d:]+\) (.*)$/m.exec(text);
+        if (text.includes('## Transcript Passages:') && passage) {
+            return `The video explains: "${passage[1]}" [1]`;
+        }
+
+        // Prompts without any JSON data, such as the connection test in settings, get a plain reply
+        if (!/[{[]/.test(text)) {
+            return 'OK';
+        }
+
+        const promptData = parseAIResponse(text);
+
+        // Grading prompts carry a student answer instead of a transcript
+        if (promptData.studentAnswer !== undefined) {
+            const grade = gradeFreeTextAnswerByKeywords(
+                { modelAnswer: promptData.referenceAnswer, keywords: promptData.keywords },
+                promptData.studentAnswer
+            );
+            return JSON.stringify({
+                score: Math.round(grade.score * 100),
+                missed: grade.missedPoints,
+                feedback: grade.feedback
+            });
+        }
+
+        // Merge prompts carry chapter summaries instead of a transcript
+        if (Array.isArray(promptData)) {
+            return JSON.stringify({ summary: promptData.map(chapter => chapter.summary).join(' ') });
+        }
+
+        const studyModule = generateFallbackStudyModule(
+            promptData.transcript || [],
+            promptData.metadata ? promptData.metadata.difficulty : 'medium'
+        );
+        return JSON.stringify(studyModule);
+    }
+
+    /**
+     * Yield the mock response in small chunks to simulate a streaming model
+     */
+    async *promptStreaming(text, options = {}) {
+        const response = await this.prompt(text);
+
+        for (let i = 0; i < response.length; i += this.streamChunkSize) {
+            throwIfAborted(options.signal);
+            await new Promise(resolve => setTimeout(resolve, this.streamDelay));
+            yield response.slice(i, i + this.streamChunkSize);
+        }
+    }
+}
+
+/**
+ * Create the AI provider selected in settings
+ * @param {Object} settings - { aiProvider, openaiBaseUrl, openaiModel, openaiApiKey }
+ * @returns {Object} Provider with isAvailable() and prompt(text, { signal })
+ */
+function createAIProvider(settings = {}) {
+    switch (settings.aiProvider) {
+        case 'openai':
+            return new OpenAICompatibleProvider({
+                baseUrl: settings.openaiBaseUrl,
+                model: settings.openaiModel,
+                apiKey: settings.openaiApiKey
+            });
+
+        case 'mock':
+            return new MockAIProvider();
+
+        case 'chrome':
+        default:
+            return new ChromePromptProvider();
+    }
+}
+
+/**
+ * Parse AI response and extract JSON
+ * @param {string} response - Raw AI response
+ * @returns {Object} Parsed study module
+ */
+function parseAIResponse(response) {
+    return parseAIResponseWithRepairs(response).data;
+}
+
+/**
+ * Parse AI response and extract JSON, repairing common syntax problems when it does not parse
+ * @param {string} response - Raw AI response
+ * @returns {Object} { data, repairs } with a description of each repair that was applied
+ */
+function parseAIResponseWithRepairs(response) {
+    const repairs = [];
+
+    try {
+        // Try to extract JSON from the response
+        let jsonString = response;
+        
+        // Look for JSON block markers
+        const jsonMatch = response.match(/```json\s*([\s\S]*?)\s*```/) || 
+                         response.match(/```\s*([\s\S]*?)\s*```/) ||
+                         response.match(/\{[\s\S]*\}/);
+        
+        if (jsonMatch) {
+            jsonString = jsonMatch[1] || jsonMatch[0];
+        }
+        
+        // Clean up the JSON string
+        jsonString = jsonString.trim();
+
+        try {
+            return { data: JSON.parse(jsonString), repairs: repairs };
+        } catch (error) {
+            // Fall through to the repair step
+        }
+
+        // Parse the repaired JSON
+        const parsed = JSON.parse(repairJsonText(jsonString, repairs));
+        
+        return { data: parsed, repairs: repairs };
+        
+    } catch (error) {
+        console.error('Error parsing AI response:', error);
+        throw new Error('Failed to parse AI response as JSON');
+    }
+}
+
+/**
+ * Fix common syntax problems in model-generated JSON: trailing commas, raw line breaks
+ * inside strings, and responses cut off before the closing brackets
+ * @param {string} text - JSON text that failed to parse
+ * @param {Array} repairs - Receives a description of each repair that was applied
+ * @returns {string} Repaired JSON text
+ */
+function repairJsonText(text, repairs = []) {
+    let json = text.trim();
+
+    const withoutTrailingCommas = json.replace(/,(\s*[}\]])/g, '$1');
+    if (withoutTrailingCommas !== json) {
+        json = withoutTrailingCommas;
+        repairs.push('Removed trailing commas');
+    }
+
+    let output = '';
+    let inString = false;
+    let escapedLineBreaks = false;
+    const closers = [];
+
+    // Position and open brackets after the last complete object or array
+    let safeLength = 0;
+    let safeClosers = [];
+
+    for (let i = 0; i < json.length; i++) {
+        const char = json[i];
+
+        if (inString) {
+            if (char === '\\') {
+                output += char + (json[i + 1] || '');
+                i++;
+            } else if (char === '\n' || char === '\r') {
+                output += char === '\n' ? '\\n' : '';
+                escapedLineBreaks = true;
+            } else {
+                output += char;
+                inString = char !== '"';
+            }
+            continue;
+        }
+
+        output += char;
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{') {
+            closers.push('}');
+        } else if (char === '[') {
+            closers.push(']');
+        } else if (char === '}' || char === ']') {
+            closers.pop();
+            safeLength = output.length;
+            safeClosers = closers.slice();
+        }
+    }
+
+    if (escapedLineBreaks) {
+        repairs.push('Escaped line breaks inside strings');
+    }
+
+    if ((inString || closers.length > 0) && safeLength > 0) {
+        // The response was cut off: keep everything up to the last complete value and close the rest
+        output = output.slice(0, safeLength).replace(/[\s,]*$/, '') + safeClosers.reverse().join('');
+        repairs.push('Closed truncated JSON and dropped the incomplete last item');
+    }
+
+    return output;
+}
+
+/**
+ * Fix common structural problems in a parsed study module, such as a quiz given as a bare array,
+ * key terms given as one string, or options labeled "A." (modifies the module in place)
+ * @param {Object} studyModule - Parsed study module
+ * @param {Array} repairs - Receives a description of each repair that was applied
+ * @returns {Object} The same study module
+ */
+function normalizeStudyModule(studyModule, repairs = []) {
+    if (!studyModule || typeof studyModule !== 'object' || Array.isArray(studyModule)) {
+        return studyModule;
+    }
+
+    if (Array.isArray(studyModule.quiz)) {
+        studyModule.quiz = { questions: studyModule.quiz };
+        repairs.push('Wrapped the quiz array in a quiz object');
+    } else if (!studyModule.quiz && Array.isArray(studyModule.questions)) {
+        studyModule.quiz = { questions: studyModule.questions };
+        delete studyModule.questions;
+        repairs.push('Moved top-level questions into the quiz');
+    }
+
+    if (typeof studyModule.keyTerms === 'string') {
+        studyModule.keyTerms = studyModule.keyTerms.split(/[,\n]/).map(term => term.trim()).filter(Boolean);
+        repairs.push('Split the key terms string into a list');
+    }
+
+    if (studyModule.quiz && Array.isArray(studyModule.quiz.questions)) {
+        studyModule.quiz.questions.forEach((question, index) => normalizeQuestion(question, index, repairs));
+    }
+
+    return studyModule;
+}
+
+/**
+ * Strip option labels and convert a correctAnswer given as a letter, numeric string
+ * or option text into an index (modifies the question in place)
+ * @param {Object} question - Parsed question
+ * @param {number} index - Question index, for repair descriptions
+ * @param {Array} repairs - Receives a description of each repair that was applied
+ * @returns {Object} The same question
+ */
+function normalizeQuestion(question, index, repairs = []) {
+    if (!question || typeof question !== 'object') {
+        return question;
+    }
+
+    const hasOptions = Array.isArray(question.options) && question.options.length > 0;
+
+    if (hasOptions && question.options.every(option => typeof option === 'string' && OPTION_LABEL_PATTERN.test(option))) {
+        question.options = question.options.map(option => option.replace(OPTION_LABEL_PATTERN, ''));
+        repairs.push(`Question ${index + 1}: removed "A." style labels from the options`);
+    }
+
+    const type = getQuestionType(question);
+
+    if (type === 'true-false' && typeof question.correctAnswer !== 'boolean') {
+        // Numbers are ambiguous (an option index or 1 for true), so they are left for validation to reject
+        const answer = String(question.correctAnswer).trim().toLowerCase();
+        const trueAnswers = ['true', 't', 'yes'];
+        const falseAnswers = ['false', 'f', 'no'];
+
+        if (trueAnswers.includes(answer) || falseAnswers.includes(answer)) {
+            question.correctAnswer = trueAnswers.includes(answer);
+            repairs.push(`Question ${index + 1}: converted correctAnswer "${answer}" to ${question.correctAnswer}`);
+        }
+    }
+
+    if (type === 'multiple-choice' && typeof question.correctAnswer === 'string') {
+        const answer = question.correctAnswer.trim();
+        const correctAnswer = parseOptionReference(answer, question.options);
+
+        if (correctAnswer >= 0) {
+            question.correctAnswer = correctAnswer;
+            repairs.push(`Question ${index + 1}: converted correctAnswer "${answer}" to an index`);
+        }
+    }
+
+    if (type === 'multi-select' && Array.isArray(question.correctAnswers) &&
+        question.correctAnswers.some(answer => typeof answer === 'string')) {
+        question.correctAnswers = question.correctAnswers.map(answer =>
+            typeof answer === 'string' ? parseOptionReference(answer.trim(), question.options) : answer
+        );
+        repairs.push(`Question ${index + 1}: converted correctAnswers to indexes`);
+    }
+
+    const sourceTimestamp = normalizeSourceTimestamp(question.sourceTimestamp);
+    if (sourceTimestamp) {
+        question.sourceTimestamp = sourceTimestamp;
+        repairs.push(`Question ${index + 1}: converted sourceTimestamp to { start, end } in seconds`);
+    }
+
+    return question;
+}
+
+/**
+ * Convert a source timestamp given as a single time, a [start, end] pair, "m:ss" or numeric
+ * strings, or with start and end swapped into { start, end } in seconds
+ * @param {*} sourceTimestamp - Source timestamp as given by the AI
+ * @returns {Object|null} Repaired range, or null if it needs no repair or cannot be repaired
+ */
+function normalizeSourceTimestamp(sourceTimestamp) {
+    const toSeconds = value => {
+        if (typeof value === 'number') return value;
+        if (typeof value !== 'string') return NaN;
+
+        const text = value.trim();
+        if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+        if (/^(\d+:)?\d{1,2}:\d{2}$/.test(text)) {
+            return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+        }
+        return NaN;
+    };
+
+    let start;
+    let end;
+    if (Array.isArray(sourceTimestamp)) {
+        [start, end] = sourceTimestamp.map(toSeconds);
+    } else if (sourceTimestamp && typeof sourceTimestamp === 'object') {
+        start = toSeconds(sourceTimestamp.start);
+        end = sourceTimestamp.end === undefined ? start : toSeconds(sourceTimestamp.end);
+    } else {
+        start = end = toSeconds(sourceTimestamp);
+    }
+    if (end === undefined) end = start;
+
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end < 0) return null;
+
+    const repaired = { start: Math.min(start, end), end: Math.max(start, end) };
+    const unchanged = sourceTimestamp && sourceTimestamp.start === repaired.start && sourceTimestamp.end === repaired.end;
+    return unchanged ? null : repaired;
+}
+
+/**
+ * Resolve an option given as a letter ("B", "(c)"), a numeric string or the option text
+ * @param {string} answer - Reference to an option
+ * @param {Array} options - Options of the question
+ * @returns {number} Option index, or -1 if it cannot be resolved
+ */
+function parseOptionReference(answer, options) {
+    const letter = /^\(?([A-Fa-f])[).:]?$/.exec(answer);
+
+    if (letter) {
+        return letter[1].toUpperCase().charCodeAt(0) - 'A'.charCodeAt(0);
+    }
+    if (/^\d+$/.test(answer)) {
+        return Number(answer);
+    }
+    if (Array.isArray(options)) {
+        const answerText = answer.replace(OPTION_LABEL_PATTERN, '').toLowerCase();
+        return options.findIndex(option =>
+            typeof option === 'string' && option.trim().toLowerCase() === answerText
+        );
+    }
+    return -1;
+}
+
+/**
+ * Parse, repair and validate a study module response, dropping only the invalid questions
+ * @param {string} response - Raw AI response
+ * @param {Array} transcriptData - Transcript segments, used to check source timestamps
+ * @returns {Object} { studyModule, errors, repairs, droppedQuestions }; studyModule is null if unusable
+ */
+function processStudyModuleResponse(response, transcriptData) {
+    const result = { studyModule: null, errors: [], repairs: [], droppedQuestions: [] };
+
+    if (!response) {
+        result.errors.push('The response was empty');
+        return result;
+    }
+
+    let studyModule;
+    try {
+        const parsed = parseAIResponseWithRepairs(response);
+        studyModule = parsed.data;
+        result.repairs.push(...parsed.repairs);
+    } catch (error) {
+        result.errors.push('The response was not valid JSON');
+        return result;
+    }
+
+    normalizeStudyModule(studyModule, result.repairs);
+
+    try {
+        validateStudyModule(studyModule);
+    } catch (error) {
+        result.errors.push(error.message);
+        return result;
+    }
+
+    studyModule.quiz.questions = studyModule.quiz.questions.filter((question, index) => {
+        try {
+            validateQuestion(question, index, transcriptData);
+            return true;
+        } catch (error) {
+            result.errors.push(error.message);
+            result.droppedQuestions.push({ question: getQuestionText(question), error: error.message });
+            return false;
+        }
+    });
+
+    if (studyModule.quiz.questions.length === 0) {
+        result.errors.push('The quiz must contain at least one valid question');
+        return result;
+    }
+
+    result.studyModule = studyModule;
+    return result;
+}
+
+/**
+ * Get the text of a question for reports, even if the question is malformed
+ */
+function getQuestionText(question) {
+    return question && typeof question.question === 'string' ? question.question : null;
+}
+
+/**
+ * Validate study module structure; questions are validated separately with validateQuestion
+ * @param {Object} studyModule - Study module to validate
+ * @throws {Error} If validation fails
+ */
+function validateStudyModule(studyModule) {
+    if (!studyModule || typeof studyModule !== 'object') {
+        throw new Error('Study module must be an object');
+    }
+    
+    if (!studyModule.summary || typeof studyModule.summary !== 'string') {
+        throw new Error('Study module must have a summary string');
+    }
+    
+    if (!Array.isArray(studyModule.keyTerms)) {
+        throw new Error('Study module must have keyTerms array');
+    }
+    
+    if (!studyModule.quiz || !studyModule.quiz.questions || !Array.isArray(studyModule.quiz.questions)) {
+        throw new Error('Study module must have quiz with questions array');
+    }
+}
+
+/**
+ * Validate a single quiz question
+ * @param {Object} question - Question to validate
+ * @param {number} index - Question index, for error messages
+ * @param {Array} transcriptData - Transcript segments, used to check the source timestamp
+ * @throws {Error} If validation fails
+ */
+function validateQuestion(question, index, transcriptData = []) {
+    if (!question || typeof question !== 'object') {
+        throw new Error(`Question ${index + 1} must be an object`);
+    }
+
+    if (!question.question || typeof question.question !== 'string') {
+        throw new Error(`Question ${index + 1} must have a question string`);
+    }
+
+    const type = getQuestionType(question);
+    const label = `Question ${index + 1} (${type})`;
+
+    if (!QUESTION_TYPES.includes(type)) {
+        throw new Error(`Question ${index + 1} has an unknown type "${type}"`);
+    }
+
+    switch (type) {
+        case 'multiple-choice':
+            if (!isStringArray(question.options) || question.options.length !== 4) {
+                throw new Error(`${label} must have exactly 4 options`);
+            }
+            if (!Number.isInteger(question.correctAnswer) ||
+                question.correctAnswer < 0 ||
+                question.correctAnswer > 3) {
+                throw new Error(`${label} must have a valid correctAnswer (0-3)`);
+            }
+            break;
+
+        case 'true-false':
+            if (typeof question.correctAnswer !== 'boolean') {
+                throw new Error(`${label} must have a correctAnswer of true or false`);
+            }
+            break;
+
+        case 'multi-select':
+            if (!isStringArray(question.options) || question.options.length < 3 || question.options.length > 6) {
+                throw new Error(`${label} must have 3-6 options`);
+            }
+            if (!Array.isArray(question.correctAnswers) || question.correctAnswers.length === 0 ||
+                !question.correctAnswers.every(answer =>
+                    Number.isInteger(answer) && answer >= 0 && answer < question.options.length
+                ) ||
+                new Set(question.correctAnswers).size !== question.correctAnswers.length) {
+                throw new Error(`${label} must have correctAnswers with the indexes of the correct options`);
+            }
+            break;
+
+        case 'fill-in-blank':
+            if (!/_{3,}/.test(question.question)) {
+                throw new Error(`${label} must contain a blank (_____)`);
+            }
+            if (!question.correctAnswer || typeof question.correctAnswer !== 'string') {
+                throw new Error(`${label} must have a correctAnswer string`);
+            }
+            if (question.acceptableAnswers !== undefined && !isStringArray(question.acceptableAnswers)) {
+                throw new Error(`${label} must have acceptableAnswers as an array of strings`);
+            }
+            break;
+
+        case 'ordering':
+            if (!isStringArray(question.items) || question.items.length < 3 || question.items.length > 6) {
+                throw new Error(`${label} must have 3-6 items`);
+            }
+            break;
+
+        case 'short-answer':
+            if (!question.modelAnswer || typeof question.modelAnswer !== 'string') {
+                throw new Error(`${label} must have a modelAnswer string`);
+            }
+            if (question.keywords !== undefined && !isStringArray(question.keywords)) {
+                throw new Error(`${label} must have keywords as an array of strings`);
+            }
+            break;
+    }
+    
+    if (!question.explanation || typeof question.explanation !== 'string') {
+        throw new Error(`Question ${index + 1} must have an explanation string`);
+    }
+
+    validateSourceTimestamp(question.sourceTimestamp, transcriptData, index);
+}
+
+/**
+ * Get the type of a question; questions without a type are multiple-choice
+ * @param {Object} question - Quiz question
+ * @returns {string} Question type
+ */
+function getQuestionType(question) {
+    return question.type || 'multiple-choice';
+}
+
+/**
+ * Check that a value is a non-empty array of non-empty strings
+ */
+function isStringArray(value) {
+    return Array.isArray(value) && value.length > 0 &&
+        value.every(item => typeof item === 'string' && item.trim() !== '');
+}
+
+/**
+ * Score an answer to a question. Multi-select, ordering and short-answer questions
+ * give partial credit; the other types are either right or wrong.
+ * @param {Object} question - Quiz question
+ * @param {*} answer - The learner's answer: an option index (multiple-choice), a boolean (true-false),
+ *     an array of option indexes (multi-select), text (fill-in-blank, short-answer), or the item
+ *     indexes in the learner's order (ordering)
+ * @returns {Object} { score (0-1), isCorrect }, plus matchedKeywords and missingKeywords for short answers
+ */
+function scoreAnswer(question, answer) {
+    let score = 0;
+
+    switch (getQuestionType(question)) {
+        case 'multiple-choice':
+        case 'true-false':
+            score = answer === question.correctAnswer ? 1 : 0;
+            break;
+
+        case 'multi-select': {
+            // Each correct option selected earns credit, each wrong one selected costs the same
+            const correct = new Set(question.correctAnswers);
+            const selected = Array.isArray(answer) ? answer : [];
+            const hits = selected.filter(index => correct.has(index)).length;
+            const misses = selected.length - hits;
+            score = Math.max(0, (hits - misses) / correct.size);
+            break;
+        }
+
+        case 'fill-in-blank': {
+            const accepted = [question.correctAnswer, ...(question.acceptableAnswers || [])]
+                .map(normalizeAnswerText)
+                .filter(Boolean);
+            const normalizedAnswer = normalizeAnswerText(answer || '');
+
+            // An answer with nothing left after normalizing is never correct
+            score = normalizedAnswer && accepted.includes(normalizedAnswer) ? 1 : 0;
+            break;
+        }
+
+        case 'ordering': {
+            // Credit for each item in its correct position
+            const order = Array.isArray(answer) ? answer : [];
+            const inPlace = question.items.filter((item, position) => order[position] === position).length;
+            score = inPlace / question.items.length;
+            break;
+        }
+
+        case 'short-answer': {
+            const result = scoreShortAnswer(question, answer || '');
+            return { ...result, isCorrect: result.score === 1 };
+        }
+    }
+
+    return { score: score, isCorrect: score === 1 };
+}
+
+/**
+ * Score a free-text answer by the share of the question's keywords it mentions;
+ * answers mentioning enough of them get full credit
+ * @returns {Object} { score, matchedKeywords, missingKeywords }
+ */
+function scoreShortAnswer(question, answer) {
+    const keywords = getShortAnswerKeywords(question);
+    const answerWords = normalizeAnswerText(answer).split(' ').filter(Boolean);
 
-\`\`\`json
-{{TRANSCRIPT_DATA}}
-\`\`\`
+    // Match on word stems so "cells" matches "cell" and "converting" matches "converts". Only answer
+    // words of 4 letters or more can match as a stem, or "is" would match "isolation".
+    const stem = word => word.slice(0, Math.max(4, word.length - 3));
+    const mentions = keyword => {
+        const parts = normalizeAnswerText(keyword).split(' ').filter(Boolean);
+        return parts.length > 0 && parts.every(part => answerWords.some(word =>
+            word.startsWith(stem(part)) || (word.length >= 4 && part.startsWith(stem(word)))
+        ));
+    };
 
-## Difficulty Level: {{DIFFICULTY}}
+    const matchedKeywords = keywords.filter(mentions);
+    const missingKeywords = keywords.filter(keyword => !matchedKeywords.includes(keyword));
+    const ratio = keywords.length > 0 ? matchedKeywords.length / keywords.length : 0;
 
-Please analyze this content and generate the study materials according to the specifications above. Ensure the JSON response is valid and complete.
-`;
+    return {
+        score: ratio >= SHORT_ANSWER_PASS_RATIO ? 1 : ratio,
+        matchedKeywords: matchedKeywords,
+        missingKeywords: missingKeywords
+    };
+}
 
 /**
- * Generate study module using AI
- * @param {Array} transcriptData - Array of transcript segments with timestamps and text
- * @param {Array} highlights - Array of user-highlighted text segments
- * @param {string} difficulty - Difficulty level: 'easy', 'medium', 'hard'
- * @returns {Promise<Object>} Study module with summary, key terms, and quiz
+ * Grade a free-text answer with the AI provider, falling back to keyword matching
+ * when no provider is available or grading fails
+ * @param {Object} question - Short-answer question with modelAnswer and keywords
+ * @param {string} answer - The learner's answer
+ * @param {Object} options - { transcript, provider, signal }
+ * @returns {Promise<Object>} { score (0-1), isCorrect, missedPoints, feedback, gradedBy: 'ai' or 'keywords' }
  */
-async function generateStudyModule(transcriptData, highlights = [], difficulty = 'medium') {
+async function gradeFreeTextAnswer(question, answer, options = {}) {
+    const provider = options.provider;
+
     try {
-        // Validate input data
-        if (!transcriptData || !Array.isArray(transcriptData) || transcriptData.length === 0) {
-            throw new Error('Invalid transcript data provided');
+        if (!provider || !(await provider.isAvailable())) {
+            return gradeFreeTextAnswerByKeywords(question, answer);
         }
 
-        // Prepare the data for injection into the prompt
-        const jsonData = {
-            transcript: transcriptData,
-            highlights: highlights,
-            metadata: {
-                totalSegments: transcriptData.length,
-                totalDuration: calculateTotalDuration(transcriptData),
-                difficulty: difficulty,
-                timestamp: Date.now()
-            }
+        const gradingData = {
+            question: question.question,
+            referenceAnswer: question.modelAnswer,
+            keywords: getShortAnswerKeywords(question),
+            transcriptExcerpt: getTranscriptExcerpt(options.transcript || [], question.sourceTimestamp),
+            studentAnswer: answer
         };
 
-        // Format the prompt with the data
-        const formattedPrompt = MASTER_PROMPT_TEMPLATE
-            .replace('{{TRANSCRIPT_DATA}}', JSON.stringify(jsonData, null, 2))
-            .replace('{{DIFFICULTY}}', difficulty);
+        const gradingPrompt = GRADING_PROMPT_TEMPLATE
+            .replace('{{GRADING_DATA}}', () => JSON.stringify(gradingData, null, 2));
 
-        console.log('Sending prompt to AI:', formattedPrompt);
+        const grade = parseAIResponse(await provider.prompt(gradingPrompt, { signal: options.signal }));
+        const score = Number(grade.score);
 
-        // Call the Chrome AI API
-        const response = await chrome.ai.createPrompt(formattedPrompt);
-        
-        if (!response) {
-            throw new Error('No response received from AI');
+        if (!Number.isFinite(score) || score < 0 || score > 100) {
+            throw new Error('Grade must have a score from 0 to 100');
         }
 
-        // Parse the AI response
-        const studyModule = parseAIResponse(response);
-        
-        // Validate the study module structure
-        validateStudyModule(studyModule);
-        
-        console.log('Generated study module:', studyModule);
-        return studyModule;
-
+        return {
+            score: score / 100,
+            isCorrect: score / 100 >= AI_GRADE_PASS_SCORE,
+            missedPoints: isStringArray(grade.missed) ? grade.missed : [],
+            feedback: typeof grade.feedback === 'string' ? grade.feedback : '',
+            gradedBy: 'ai'
+        };
     } catch (error) {
-        console.error('Error generating study module:', error);
-        
-        // Return a fallback study module if AI fails
-        return generateFallbackStudyModule(transcriptData, difficulty);
+        if (isAbortError(error)) {
+            throw error;
+        }
+
+        console.error('Error grading answer with AI:', error);
+        return gradeFreeTextAnswerByKeywords(question, answer);
     }
 }
 
 /**
- * Parse AI response and extract JSON
- * @param {string} response - Raw AI response
- * @returns {Object} Parsed study module
+ * Grade a free-text answer by the keywords it mentions
+ * @returns {Object} { score (0-1), isCorrect, missedPoints, feedback, gradedBy: 'keywords' }
  */
-function parseAIResponse(response) {
+function gradeFreeTextAnswerByKeywords(question, answer) {
+    const result = scoreShortAnswer(question, answer);
+
+    return {
+        score: result.score,
+        isCorrect: result.score === 1,
+        missedPoints: result.missingKeywords,
+        feedback: result.matchedKeywords.length > 0 ?
+            `Your answer mentions ${result.matchedKeywords.join(', ')}.` :
+            'Your answer does not mention any of the key ideas.',
+        gradedBy: 'keywords'
+    };
+}
+
+/**
+ * Get the transcript text around a question's source timestamp, or the start of the
+ * transcript if the question has none
+ * @param {Array} transcript - Transcript segments
+ * @param {Object} sourceTimestamp - { start, end } in seconds
+ * @param {number} padding - Seconds of context before and after the range
+ * @param {number} maxChars - Maximum length of the excerpt
+ * @returns {string} Transcript excerpt
+ */
+function getTranscriptExcerpt(transcript, sourceTimestamp, padding = 30, maxChars = 3000) {
+    const segments = sourceTimestamp ?
+        transcript.filter(segment =>
+            segment.startTime >= sourceTimestamp.start - padding &&
+            segment.startTime <= sourceTimestamp.end + padding
+        ) :
+        transcript;
+
+    return segments.map(segment => segment.text).join(' ').slice(0, maxChars);
+}
+
+/**
+ * Answer a question about a video from the transcript passages most relevant to it,
+ * citing each passage used. Without an AI provider the passages themselves are returned.
+ * @param {Array} transcriptData - Transcript segments, as passed to generateStudyModule
+ * @param {string} question - The learner's question
+ * @param {Object} options - { history, provider, signal, maxPassages }
+ * @param {Array} options.history - Earlier chat messages ({ role: 'user' or 'assistant', text })
+ * @returns {Promise<Object>} { answer, citations, answeredBy: 'ai' or 'extractive' }; citations are
+ *     the cited passages ({ index, startTime, endTime, text }) whose numbers appear as [n] in the answer
+ */
+async function answerVideoQuestion(transcriptData, question, options = {}) {
+    const history = options.history || [];
+
+    // Follow-up questions such as "why?" need the previous question to find the right passages
+    const lastUserMessage = history.filter(message => message.role === 'user').slice(-1)[0];
+    const searchQuery = lastUserMessage && getContentWords(question).length < 2 ?
+        `${lastUserMessage.text} ${question}` : question;
+
+    const passages = retrieveTranscriptPassages(transcriptData, searchQuery, options.maxPassages || 5);
+    if (passages.length === 0) {
+        return {
+            answer: 'The transcript does not seem to cover this question.',
+            citations: [],
+            answeredBy: 'extractive'
+        };
+    }
+
     try {
-        // Try to extract JSON from the response
-        let jsonString = response;
-        
-        // Look for JSON block markers
-        const jsonMatch = response.match(/```json\s*([\s\S]*?)\s*```/) || 
-                         response.match(/```\s*([\s\S]*?)\s*```/) ||
-                         response.match(/\{[\s\S]*\}/);
-        
-        if (jsonMatch) {
-            jsonString = jsonMatch[1] || jsonMatch[0];
+        const provider = options.provider;
+        if (!provider || !(await provider.isAvailable())) {
+            return answerFromPassages(passages);
         }
-        
-        // Clean up the JSON string
-        jsonString = jsonString.trim();
-        
-        // Parse the JSON
-        const parsed = JSON.parse(jsonString);
-        
-        return parsed;
-        
+
+        const chatPrompt = CHAT_PROMPT_TEMPLATE
+            .replace('{{PASSAGES}}', () => passages.map(passage =>
+                `[${passage.index}] (${formatTime(passage.startTime)}) ${passage.text}`
+            ).join('\n\n'))
+            .replace('{{HISTORY}}', () => history.slice(-6).map(message =>
+                `${message.role === 'user' ? 'Learner' : 'Tutor'}: ${message.text}`
+            ).join('\n') || '(none)')
+            .replace('{{QUESTION}}', () => question);
+
+        const answer = (await provider.prompt(chatPrompt, { signal: options.signal }) || '').trim();
+        if (!answer) {
+            throw new Error('No response received from AI');
+        }
+
+        // Keep only the passages the answer actually cites
+        const citedIndexes = new Set((answer.match(/\[(\d+)\]/g) || []).map(marker => Number(marker.slice(1, -1))));
+
+        return {
+            answer: answer,
+            citations: passages.filter(passage => citedIndexes.has(passage.index)),
+            answeredBy: 'ai'
+        };
     } catch (error) {
-        console.error('Error parsing AI response:', error);
-        throw new Error('Failed to parse AI response as JSON');
+        if (isAbortError(error)) {
+            throw error;
+        }
+
+        console.error('Error answering question with AI:', error);
+        return answerFromPassages(passages);
     }
 }
 
 /**
- * Validate study module structure
- * @param {Object} studyModule - Study module to validate
- * @throws {Error} If validation fails
+ * Build an answer that quotes the two most relevant passages
  */
-function validateStudyModule(studyModule) {
-    if (!studyModule || typeof studyModule !== 'object') {
-        throw new Error('Study module must be an object');
+function answerFromPassages(passages) {
+    const quoted = passages.slice(0, 2);
+
+    return {
+        answer: 'Here is what the video says about this:\n' +
+            quoted.map(passage => `"${passage.text}" [${passage.index}]`).join('\n'),
+        citations: quoted,
+        answeredBy: 'extractive'
+    };
+}
+
+/**
+ * Find the transcript passages most relevant to a query, ranked with BM25
+ * @param {Array} transcriptData - Transcript segments
+ * @param {string} query - Search text
+ * @param {number} maxPassages - Number of passages to return
+ * @returns {Array} Passages ({ index, startTime, endTime, text }) numbered from 1 in order of relevance
+ */
+function retrieveTranscriptPassages(transcriptData, query, maxPassages = 5) {
+    const queryTerms = Array.from(new Set(tokenizeText(query)));
+    if (queryTerms.length === 0) return [];
+
+    const passages = splitTranscriptIntoPassages(transcriptData);
+    const passageTerms = passages.map(passage => tokenizeText(passage.text));
+    const averageLength = passageTerms.reduce((total, terms) => total + terms.length, 0) / (passages.length || 1);
+
+    // Number of passages containing each query term
+    const documentFrequency = {};
+    queryTerms.forEach(term => {
+        documentFrequency[term] = passageTerms.filter(terms => terms.includes(term)).length;
+    });
+
+    const k1 = 1.2;
+    const b = 0.75;
+
+    return passages
+        .map((passage, i) => {
+            const terms = passageTerms[i];
+            const score = queryTerms.reduce((total, term) => {
+                const frequency = terms.filter(t => t === term).length;
+                if (frequency === 0) return total;
+
+                const idf = Math.log(1 + (passages.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+                return total + idf * (frequency * (k1 + 1)) /
+                    (frequency + k1 * (1 - b + b * terms.length / averageLength));
+            }, 0);
+
+            return { ...passage, score };
+        })
+        .filter(passage => passage.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxPassages)
+        .map((passage, i) => ({
+            index: i + 1,
+            startTime: passage.startTime,
+            endTime: passage.endTime,
+            text: passage.text
+        }));
+}
+
+/**
+ * Group transcript segments into passages of about CHAT_PASSAGE_DURATION seconds
+ */
+function splitTranscriptIntoPassages(transcriptData) {
+    const passages = [];
+    let current = null;
+
+    transcriptData.forEach(segment => {
+        const startTime = segment.startTime || 0;
+
+        if (!current || startTime - current.startTime >= CHAT_PASSAGE_DURATION) {
+            current = { startTime: startTime, endTime: startTime, texts: [] };
+            passages.push(current);
+        }
+
+        current.texts.push(segment.text);
+        current.endTime = startTime + (segment.duration || 0);
+    });
+
+    return passages.map(passage => ({
+        startTime: passage.startTime,
+        endTime: passage.endTime,
+        text: passage.texts.join(' ')
+    }));
+}
+
+/**
+ * Keywords a short answer should mention: the question's own, or the main words of the model answer.
+ * Model answers made only of short or common words use all of their words instead.
+ */
+function getShortAnswerKeywords(question) {
+    if (isStringArray(question.keywords)) {
+        return question.keywords;
     }
-    
-    if (!studyModule.summary || typeof studyModule.summary !== 'string') {
-        throw new Error('Study module must have a summary string');
+
+    const modelAnswer = question.modelAnswer || '';
+    const contentWords = getContentWords(modelAnswer);
+    const words = contentWords.length > 0 ? contentWords : normalizeAnswerText(modelAnswer).split(' ').filter(Boolean);
+    return Array.from(new Set(words)).slice(0, 6);
+}
+
+/**
+ * Normalize typed answers for comparison: lowercase, no punctuation, articles or extra spaces.
+ * Letters of every script are kept, so answers in other languages compare correctly.
+ */
+function normalizeAnswerText(text) {
+    return splitWords(text)
+        .filter(word => !['a', 'an', 'the'].includes(word))
+        .join(' ');
+}
+
+/**
+ * Validate the source timestamp range of a question
+ * @param {Object} sourceTimestamp - { start, end } in seconds
+ * @param {Array} transcriptData - Transcript segments
+ * @param {number} index - Question index, for error messages
+ * @throws {Error} If the range is malformed or outside the video
+ */
+function validateSourceTimestamp(sourceTimestamp, transcriptData, index) {
+    const { start, end } = sourceTimestamp || {};
+
+    if (typeof start !== 'number' || typeof end !== 'number' || start < 0 || end < start) {
+        throw new Error(`Question ${index + 1} must have a valid sourceTimestamp ({ start, end } in seconds)`);
     }
-    
-    if (!Array.isArray(studyModule.keyTerms)) {
-        throw new Error('Study module must have keyTerms array');
+
+    const totalDuration = calculateTotalDuration(transcriptData);
+    if (totalDuration > 0 && start > totalDuration) {
+        throw new Error(`Question ${index + 1} sourceTimestamp starts after the end of the video`);
     }
-    
-    if (!studyModule.quiz || !studyModule.quiz.questions || !Array.isArray(studyModule.quiz.questions)) {
-        throw new Error('Study module must have quiz with questions array');
+}
+
+/**
+ * Reduce a highlight to the fields that are useful to the AI
+ * @param {Object|string} highlight - Highlight object or plain highlighted text
+ * @returns {Object} Highlight with text, optional note and timestamp
+ */
+function formatHighlightForPrompt(highlight) {
+    if (typeof highlight === 'string') {
+        return { text: highlight };
     }
-    
-    // Validate each question
-    studyModule.quiz.questions.forEach((question, index) => {
-        if (!question.question || typeof question.question !== 'string') {
-            throw new Error(`Question ${index + 1} must have a question string`);
-        }
-        
-        if (!Array.isArray(question.options) || question.options.length !== 4) {
-            throw new Error(`Question ${index + 1} must have exactly 4 options`);
-        }
-        
-        if (typeof question.correctAnswer !== 'number' || 
-            question.correctAnswer < 0 || 
-            question.correctAnswer > 3) {
-            throw new Error(`Question ${index + 1} must have a valid correctAnswer (0-3)`);
-        }
-        
-        if (!question.explanation || typeof question.explanation !== 'string') {
-            throw new Error(`Question ${index + 1} must have an explanation string`);
-        }
-    });
+
+    return {
+        text: highlight.text,
+        note: highlight.note || undefined,
+        timestamp: highlight.timestamp || undefined
+    };
 }
 
 /**
@@ -216,10 +2104,10 @@ function generateFallbackStudyModule(transcriptData, difficulty) {
     // Extract key terms from transcript
     const keyTerms = extractKeyTermsFromTranscript(transcriptData);
     
-    // Generate basic summary
-    const summary = generateBasicSummary(transcriptData);
+    // Generate an extractive summary from the highest-scoring sentences
+    const summary = generateBasicSummary(transcriptData, keyTerms);
     
-    // Generate basic quiz
+    // Generate fill-in-the-blank questions about the key terms
     const quiz = generateBasicQuiz(transcriptData, difficulty);
     
     return {
@@ -232,28 +2120,38 @@ function generateFallbackStudyModule(transcriptData, difficulty) {
 /**
  * Extract key terms from transcript using simple heuristics
  * @param {Array} transcriptData - Transcript segments
+ * @param {number} maxTerms - Maximum number of terms to return
  * @returns {Array} Array of key terms
  */
-function extractKeyTermsFromTranscript(transcriptData) {
+function extractKeyTermsFromTranscript(transcriptData, maxTerms = 8) {
     const termFrequency = {};
-    const allText = transcriptData.map(segment => segment.text).join(' ').toLowerCase();
     
     // Simple keyword extraction based on frequency and length
-    const words = allText.split(/\s+/)
-        .filter(word => word.length > 4 && /^[a-zA-Z]+$/.test(word))
-        .filter(word => !isCommonWord(word));
-    
-    words.forEach(word => {
-        termFrequency[word] = (termFrequency[word] || 0) + 1;
+    transcriptData.forEach(segment => {
+        getContentWords(segment.text)
+            .filter(word => word.length > 4)
+            .forEach(word => {
+                termFrequency[word] = (termFrequency[word] || 0) + 1;
+            });
     });
     
-    // Return top 8 terms
+    // Return the most frequent terms
     return Object.entries(termFrequency)
         .sort(([,a], [,b]) => b - a)
-        .slice(0, 8)
+        .slice(0, maxTerms)
         .map(([term]) => term);
 }
 
+/**
+ * Get the lowercase words of a text that carry meaning (no short or common words)
+ * @param {string} text - Text to split
+ * @returns {Array} Content words
+ */
+function getContentWords(text) {
+    return splitWords(text)
+        .filter(word => word.length > 3 && !/^\p{N}+$/u.test(word) && !isCommonWord(word));
+}
+
 /**
  * Check if a word is a common word
  * @param {string} word - Word to check
@@ -263,95 +2161,298 @@ function isCommonWord(word) {
     const commonWords = [
         'this', 'that', 'with', 'have', 'will', 'from', 'they', 'know', 'want', 'been',
         'good', 'much', 'some', 'time', 'very', 'when', 'come', 'here', 'just', 'like',
-        'long', 'make', 'many', 'over', 'such', 'take', 'than', 'them', 'well', 'were'
+        'long', 'make', 'many', 'over', 'such', 'take', 'than', 'them', 'well', 'were',
+        'about', 'after', 'again', 'also', 'actually', 'because', 'before', 'being', 'could',
+        'does', 'doing', 'each', 'even', 'every', 'first', 'going', 'gonna', 'into', 'little',
+        'maybe', 'more', 'most', 'only', 'other', 'people', 'really', 'right', 'should',
+        'something', 'still', 'their', 'there', 'these', 'thing', 'things', 'think', 'those',
+        'through', 'today', 'what', 'where', 'which', 'while', 'would', 'your', 'video'
     ];
     return commonWords.includes(word.toLowerCase());
 }
 
 /**
- * Generate basic summary from transcript
+ * Split a transcript into sentences, each with the time range it was spoken in.
+ * Auto-generated captions often have no punctuation, so long runs are cut into
+ * sentences of at most maxWords words.
+ * @param {Array} transcriptData - Transcript segments
+ * @param {number} maxWords - Maximum words per sentence
+ * @returns {Array} Sentences with text, startTime and endTime
+ */
+function splitTranscriptIntoSentences(transcriptData, maxWords = 30) {
+    const sentences = [];
+    let current = null;
+
+    transcriptData.forEach(segment => {
+        const startTime = segment.startTime || 0;
+        const endTime = startTime + (segment.duration || 0);
+        const pieces = segment.text.split(/(?<=[.!?])\s+/).filter(Boolean);
+
+        pieces.forEach(piece => {
+            if (!current) {
+                current = { words: [], startTime: startTime, endTime: endTime };
+            }
+
+            current.words.push(...piece.split(/\s+/));
+            current.endTime = endTime;
+
+            if (/[.!?]$/.test(piece) || current.words.length >= maxWords) {
+                sentences.push({
+                    text: current.words.join(' '),
+                    startTime: current.startTime,
+                    endTime: current.endTime
+                });
+                current = null;
+            }
+        });
+    });
+
+    if (current) {
+        sentences.push({ text: current.words.join(' '), startTime: current.startTime, endTime: current.endTime });
+    }
+
+    return sentences;
+}
+
+/**
+ * Score sentences by how many frequent content words and key terms they contain
+ * @param {Array} sentences - Sentences from splitTranscriptIntoSentences
+ * @param {Array} keyTerms - Key terms of the transcript
+ * @returns {Array} Scores, in the same order as the sentences
+ */
+function scoreSentences(sentences, keyTerms) {
+    const wordFrequency = {};
+    sentences.forEach(sentence => {
+        getContentWords(sentence.text).forEach(word => {
+            wordFrequency[word] = (wordFrequency[word] || 0) + 1;
+        });
+    });
+
+    return sentences.map(sentence => {
+        const wordCount = sentence.text.split(/\s+/).length;
+        if (wordCount < 6) return 0;
+
+        const words = new Set(getContentWords(sentence.text));
+        let score = 0;
+        words.forEach(word => {
+            score += wordFrequency[word] + (keyTerms.includes(word) ? 3 : 0);
+        });
+
+        // Normalize by length so long sentences are not preferred just for being long
+        return score / Math.max(wordCount, 12);
+    });
+}
+
+/**
+ * Generate an extractive summary: the highest-scoring sentences, in the order they are spoken
  * @param {Array} transcriptData - Transcript segments
- * @returns {string} Basic summary
+ * @param {Array} keyTerms - Key terms of the transcript
+ * @param {number} maxSentences - Number of sentences in the summary
+ * @returns {string} Summary
  */
-function generateBasicSummary(transcriptData) {
+function generateBasicSummary(transcriptData, keyTerms = extractKeyTermsFromTranscript(transcriptData), maxSentences = 4) {
     if (transcriptData.length === 0) return 'No content available.';
-    
-    // Take first few segments and last few segments
-    const firstPart = transcriptData.slice(0, 3).map(s => s.text).join(' ');
-    const lastPart = transcriptData.slice(-2).map(s => s.text).join(' ');
-    
-    return `This video covers ${transcriptData.length} segments of content. The beginning discusses ${firstPart.substring(0, 200)}... The conclusion covers ${lastPart.substring(0, 200)}...`;
+
+    const sentences = splitTranscriptIntoSentences(transcriptData);
+    const scores = scoreSentences(sentences, keyTerms);
+
+    return sentences
+        .map((sentence, index) => ({ sentence, score: scores[index], index }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, maxSentences)
+        .sort((a, b) => a.index - b.index)
+        .map(({ sentence }) => {
+            const text = sentence.text.charAt(0).toUpperCase() + sentence.text.slice(1);
+            return /[.!?]$/.test(text) ? text : `${text}.`;
+        })
+        .join(' ');
 }
 
 /**
- * Generate basic quiz from transcript
+ * Generate a cloze (fill-in-the-blank) quiz from transcript sentences that contain key terms,
+ * using other key terms as distractors. Easy quizzes give the first letter and use dissimilar
+ * distractors; hard quizzes ask about rarer terms first. The quiz has at least one question
+ * unless the transcript has no words to ask about.
  * @param {Array} transcriptData - Transcript segments
  * @param {string} difficulty - Difficulty level
  * @returns {Object} Basic quiz object
  */
 function generateBasicQuiz(transcriptData, difficulty) {
     const questions = [];
-    
-    if (transcriptData.length > 0) {
-        // Question 1: About the beginning
-        questions.push({
-            question: "What is discussed at the beginning of this video?",
-            options: [
-                "Introduction to the main topic",
-                "Conclusion and summary",
-                "Technical details only",
-                "Background music"
-            ],
-            correctAnswer: 0,
-            explanation: "The beginning of the video typically introduces the main topic that will be covered."
-        });
-        
-        // Question 2: About content length
+    const level = getDifficultyLevel(difficulty);
+    const maxQuestions = level.questionCount;
+    const terms = extractKeyTermsFromTranscript(transcriptData, 16);
+
+    const questionTerms = level.name === 'hard' ? terms.slice().reverse() : terms;
+
+    const sentences = splitTranscriptIntoSentences(transcriptData);
+    const scores = scoreSentences(sentences, terms);
+    const usedSentences = new Set();
+
+    for (const term of questionTerms) {
+        if (questions.length >= maxQuestions) break;
+
+        const termPattern = createTermPattern(term, 'gi');
+
+        // Use the best sentence that mentions the term and is long enough to give context
+        const candidates = sentences
+            .map((sentence, index) => ({ sentence, index, score: scores[index] }))
+            .filter(({ sentence, index }) => {
+                const wordCount = sentence.text.split(/\s+/).length;
+                return !usedSentences.has(index) && wordCount >= 6 && wordCount <= 40 &&
+                    createTermPattern(term).test(sentence.text);
+            })
+            .sort((a, b) => b.score - a.score);
+
+        if (candidates.length === 0) continue;
+
+        const { sentence, index } = candidates[0];
+        const distractors = selectDistractors(term, terms, sentence.text, level.name);
+        if (distractors.length < 3) continue;
+
+        usedSentences.add(index);
+
+        // Rotate the position of the correct answer between questions
+        const correctAnswer = questions.length % 4;
+        const options = distractors.slice();
+        options.splice(correctAnswer, 0, term);
+
+        const hint = level.name === 'easy' ? ` (starts with "${term.charAt(0)}")` : '';
+
         questions.push({
-            question: "How many content segments does this video have?",
-            options: [
-                `${transcriptData.length} segments`,
-                "Less than 5 segments",
-                "More than 50 segments",
-                "Unknown"
-            ],
-            correctAnswer: 0,
-            explanation: `This video contains ${transcriptData.length} distinct content segments.`
+            question: `Fill in the blank: "${sentence.text.replace(termPattern, '_____')}"${hint}`,
+            options: options,
+            correctAnswer: correctAnswer,
+            explanation: `The video says: "${sentence.text}" (at ${formatTime(sentence.startTime)}).`,
+            sourceTimestamp: {
+                start: sentence.startTime,
+                end: Math.max(sentence.endTime, sentence.startTime)
+            }
         });
     }
-    
-    // Add more questions based on available content
-    if (transcriptData.length > 5) {
-        questions.push({
-            question: "What type of content is this video?",
-            options: [
-                "Educational content",
-                "Entertainment only",
-                "Advertisement",
-                "Music video"
-            ],
-            correctAnswer: 0,
-            explanation: "This appears to be educational content based on the structured transcript segments."
-        });
+
+    // Short or repetitive transcripts do not give three wrong options for any term
+    if (questions.length === 0) {
+        const fallbackQuestion = generateBasicFallbackQuestion(transcriptData, terms, sentences);
+        if (fallbackQuestion) {
+            questions.push(fallbackQuestion);
+        }
     }
     
-    return { questions };
+    return { questions: adjustQuestionDifficulty(questions, difficulty) };
+}
+
+/**
+ * Build a question that needs no wrong options: a typed fill-in-the-blank for a key term,
+ * or, when no sentence mentions one, a short answer about the video as a whole
+ * @param {Array} transcriptData - Transcript segments
+ * @param {Array} terms - Key terms
+ * @param {Array} sentences - Transcript sentences
+ * @returns {Object|null} Question, or null if the transcript has no words a short answer could be checked against
+ */
+function generateBasicFallbackQuestion(transcriptData, terms, sentences) {
+    for (const sentence of sentences) {
+        const term = terms.find(t => createTermPattern(t).test(sentence.text));
+        if (!term || sentence.text.split(/\s+/).length < 4) continue;
+
+        return {
+            type: 'fill-in-blank',
+            question: `Fill in the blank: "${sentence.text.replace(createTermPattern(term, 'gi'), '_____')}"`,
+            correctAnswer: term,
+            explanation: `The video says: "${sentence.text}" (at ${formatTime(sentence.startTime)}).`,
+            sourceTimestamp: {
+                start: sentence.startTime,
+                end: Math.max(sentence.endTime, sentence.startTime)
+            }
+        };
+    }
+
+    const modelAnswer = generateBasicSummary(transcriptData, terms);
+    const keywords = terms.length > 0 ?
+        terms.slice(0, 5) :
+        Array.from(new Set(getContentWords(modelAnswer))).slice(0, 5);
+
+    // Without keywords no answer could ever be scored correct
+    if (keywords.length === 0) return null;
+
+    const question = {
+        type: 'short-answer',
+        question: 'In your own words, what is this video about?',
+        modelAnswer: modelAnswer,
+        keywords: keywords,
+        explanation: 'Compare your answer with the summary of the video.'
+    };
+
+    question.sourceTimestamp = sentences.length > 0 ? {
+        start: sentences[0].startTime,
+        end: Math.max(sentences[sentences.length - 1].endTime, sentences[0].startTime)
+    } : {
+        start: 0,
+        end: calculateTotalDuration(transcriptData)
+    };
+
+    return question;
+}
+
+/**
+ * Pattern matching a key term as a whole word. Key terms only contain letters and digits, and
+ * word boundaries are checked for letters of every script, unlike \b.
+ */
+function createTermPattern(term, flags = 'i') {
+    return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${term}(?![\\p{L}\\p{M}\\p{N}])`, `${flags}u`);
+}
+
+/**
+ * Pick three key terms to use as wrong options for a cloze question from the terms that
+ * do not appear in the sentence: the ones closest in length to the answer, or the
+ * furthest for easy questions
+ * @param {string} answer - Correct term
+ * @param {Array} terms - Candidate key terms
+ * @param {string} sentenceText - Sentence the question is built from
+ * @param {string} difficulty - Difficulty level
+ * @returns {Array} Up to three distractors
+ */
+function selectDistractors(answer, terms, sentenceText, difficulty = 'medium') {
+    const sentence = sentenceText.toLowerCase();
+    const candidates = terms
+        .filter(term => term !== answer && !createTermPattern(term, '').test(sentence))
+        .sort((a, b) => Math.abs(a.length - answer.length) - Math.abs(b.length - answer.length));
+
+    return (difficulty === 'easy' ? candidates.reverse() : candidates).slice(0, 3);
 }
 
 /**
- * Adjust difficulty of questions
+ * Adjust questions to a difficulty level: limit them to the level's question count,
+ * keep easy quizzes in the order of the video, and tag each question with the level
  * @param {Array} questions - Array of questions
  * @param {string} difficulty - Difficulty level
+ * @param {number} maxQuestions - Maximum number of questions (defaults to the level's count)
  * @returns {Array} Adjusted questions
  */
-function adjustQuestionDifficulty(questions, difficulty) {
-    // This would implement difficulty adjustment logic
-    // For now, return questions as-is
-    return questions;
+function adjustQuestionDifficulty(questions, difficulty, maxQuestions) {
+    const level = getDifficultyLevel(difficulty);
+    let adjusted = questions.slice(0, maxQuestions || level.questionCount);
+
+    // Recall questions are easiest to answer while following the video from start to end
+    if (level.name === 'easy') {
+        const startOf = question => question.sourceTimestamp ? question.sourceTimestamp.start : Infinity;
+        adjusted = adjusted.slice().sort((a, b) => startOf(a) - startOf(b));
+    }
+
+    return adjusted.map(question => ({ ...question, difficulty: level.name }));
 }
 
 // Export the main function for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { generateStudyModule };
+    module.exports = {
+        generateStudyModule,
+        createAIProvider,
+        scoreAnswer,
+        gradeFreeTextAnswer,
+        answerVideoQuestion,
+        ChromePromptProvider,
+        OpenAICompatibleProvider,
+        MockAIProvider
+    };
 }
 
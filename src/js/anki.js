@@ -0,0 +1,868 @@
+/**
+ * Anki Export for Echo Chrome Extension
+ * Turns stored study modules into Anki flashcards: CSV/TSV files for Anki's text import,
+ * and .apkg decks (a zip archive holding an Anki collection, which is an SQLite database).
+ * Uses the helpers in utils.js, which must be loaded first.
+ */
+
+/**
+ * ID of the Echo note type; kept fixed so repeated imports reuse the same note type
+ */
+const ANKI_MODEL_ID = 1718035200000;
+
+/**
+ * Fields of the Echo note type
+ */
+const ANKI_FIELDS = ['Front', 'Back', 'Source'];
+
+/**
+ * Tables of an Anki collection (schema version 11, the format Anki imports from .apkg files)
+ */
+const ANKI_SCHEMA = {
+    col: `CREATE TABLE col (
+    id              integer primary key,
+    crt             integer not null,
+    mod             integer not null,
+    scm             integer not null,
+    ver             integer not null,
+    dty             integer not null,
+    usn             integer not null,
+    ls              integer not null,
+    conf            text not null,
+    models          text not null,
+    decks           text not null,
+    dconf           text not null,
+    tags            text not null
+)`,
+    notes: `CREATE TABLE notes (
+    id              integer primary key,
+    guid            text not null,
+    mid             integer not null,
+    mod             integer not null,
+    usn             integer not null,
+    tags            text not null,
+    flds            text not null,
+    sfld            integer not null,
+    csum            integer not null,
+    flags           integer not null,
+    data            text not null
+)`,
+    cards: `CREATE TABLE cards (
+    id              integer primary key,
+    nid             integer not null,
+    did             integer not null,
+    ord             integer not null,
+    mod             integer not null,
+    usn             integer not null,
+    type            integer not null,
+    queue           integer not null,
+    due             integer not null,
+    ivl             integer not null,
+    factor          integer not null,
+    reps            integer not null,
+    lapses          integer not null,
+    left            integer not null,
+    odue            integer not null,
+    odid            integer not null,
+    flags           integer not null,
+    data            text not null
+)`,
+    revlog: `CREATE TABLE revlog (
+    id              integer primary key,
+    cid             integer not null,
+    usn             integer not null,
+    ease            integer not null,
+    ivl             integer not null,
+    lastIvl         integer not null,
+    factor          integer not null,
+    time            integer not null,
+    type            integer not null
+)`,
+    graves: `CREATE TABLE graves (
+    usn             integer not null,
+    oid             integer not null,
+    type            integer not null
+)`
+};
+
+/**
+ * Indexes of an Anki collection: name, table and indexed column positions
+ */
+const ANKI_INDEXES = [
+    { name: 'ix_notes_usn', table: 'notes', columns: ['usn'] },
+    { name: 'ix_cards_usn', table: 'cards', columns: ['usn'] },
+    { name: 'ix_revlog_usn', table: 'revlog', columns: ['usn'] },
+    { name: 'ix_cards_nid', table: 'cards', columns: ['nid'] },
+    { name: 'ix_cards_sched', table: 'cards', columns: ['did', 'queue', 'due'] },
+    { name: 'ix_revlog_cid', table: 'revlog', columns: ['cid'] },
+    { name: 'ix_notes_csum', table: 'notes', columns: ['csum'] }
+];
+
+/**
+ * Page size of the generated SQLite database
+ */
+const SQLITE_PAGE_SIZE = 4096;
+
+/**
+ * Build flashcards from the study modules of one or more videos
+ * @param {Array} videos - { videoId, title, tags, studyModule, transcript }, in deck order;
+ *     the transcript is used to link key terms to the moment they are first mentioned
+ * @returns {Array} Cards { id, front, back, source, tags } with HTML fields
+ */
+function createAnkiCards(videos) {
+    return videos.flatMap(video => {
+        const studyModule = video.studyModule || {};
+        const tags = ['echo', ...(video.tags || [])].map(tag => tag.replace(/\s+/g, '_'));
+
+        const termCards = (studyModule.keyTerms || []).map(term => {
+            const needle = term.toLowerCase();
+            const segment = (video.transcript || []).find(s => s.text.toLowerCase().includes(needle));
+
+            return {
+                id: `${video.videoId}_term_${hashAnkiText(term)}`,
+                front: escapeHtml(term),
+                back: segment ?
+                    `<i>"${escapeHtml(segment.text)}"</i>` :
+                    `Key term from "${escapeHtml(video.title)}"`,
+                source: createAnkiSourceLink(video, segment ? segment.startTime : null),
+                tags: tags
+            };
+        });
+
+        const questionCards = ((studyModule.quiz && studyModule.quiz.questions) || []).map(question => ({
+            id: `${video.videoId}_question_${hashAnkiText(question.question)}`,
+            ...formatAnkiQuestion(question),
+            source: createAnkiSourceLink(video, question.sourceTimestamp ? question.sourceTimestamp.start : null),
+            tags: tags
+        }));
+
+        return [...termCards, ...questionCards];
+    });
+}
+
+/**
+ * Write the front and back of a quiz question; the back holds the answer and its explanation
+ * @returns {Object} { front, back }
+ */
+function formatAnkiQuestion(question) {
+    const type = question.type || 'multiple-choice';
+    const list = (items, tag = 'ul') =>
+        `<${tag}>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</${tag}>`;
+    const optionList = () => `<ol type="A">${question.options.map(option =>
+        `<li>${escapeHtml(option)}</li>`).join('')}</ol>`;
+    const letter = index => String.fromCharCode(65 + index);
+
+    let front = escapeHtml(question.question);
+    let answer;
+
+    switch (type) {
+        case 'true-false':
+            front = `True or false: ${front}`;
+            answer = question.correctAnswer ? 'True' : 'False';
+            break;
+        case 'multi-select':
+            front += `<br>(Select all that apply)${optionList()}`;
+            answer = list(question.correctAnswers.map(index => `${letter(index)}. ${question.options[index]}`));
+            break;
+        case 'fill-in-blank':
+            answer = escapeHtml(question.correctAnswer);
+            break;
+        case 'ordering':
+            // Shown alphabetically so the front does not give the order away
+            front += list(question.items.slice().sort((a, b) => a.localeCompare(b)));
+            answer = list(question.items, 'ol');
+            break;
+        case 'short-answer':
+            answer = escapeHtml(question.modelAnswer);
+            break;
+        default:
+            front += optionList();
+            answer = `${letter(question.correctAnswer)}. ${escapeHtml(question.options[question.correctAnswer])}`;
+    }
+
+    return {
+        front: front,
+        back: `<b>${answer}</b>` + (question.explanation ? `<br><br>${escapeHtml(question.explanation)}` : '')
+    };
+}
+
+/**
+ * Link to the video, at the given time if there is one
+ */
+function createAnkiSourceLink(video, seconds) {
+    const hasTime = typeof seconds === 'number' && seconds >= 0;
+    const label = hasTime ? `${video.title} (${formatTime(seconds)})` : video.title;
+
+    return `<a href="${getVideoUrl(video.videoId, seconds)}">▶ ${escapeHtml(label)}</a>`;
+}
+
+/**
+ * Create a file for Anki's text import (File → Import), with the deck and columns declared in its header
+ * @param {string} deckName - Deck to import the cards into
+ * @param {Array} cards - Cards from createAnkiCards
+ * @param {string} format - 'csv' or 'tsv'
+ * @returns {string} File content
+ */
+function createAnkiTextExport(deckName, cards, format = 'tsv') {
+    const separator = format === 'csv' ? ',' : '\t';
+    const quote = field => `"${String(field).replace(/"/g, '""')}"`;
+
+    const header = [
+        `#separator:${format === 'csv' ? 'Comma' : 'Tab'}`,
+        '#html:true',
+        '#notetype:Basic',
+        `#deck:${deckName.replace(/[\r\n]+/g, ' ')}`,
+        '#tags column:3'
+    ];
+
+    // Anki's Basic note type has two fields, so the source link goes on the back
+    const rows = cards.map(card => [
+        card.front,
+        `${card.back}<br><br>${card.source}`,
+        card.tags.join(' ')
+    ].map(field => quote(field.replace(/[\r\n]+/g, ' '))).join(separator));
+
+    return [...header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Create an .apkg deck
+ * @param {string} deckName - Name of the deck
+ * @param {Array} cards - Cards from createAnkiCards
+ * @returns {Promise<Uint8Array>} The .apkg file
+ */
+async function createAnkiPackage(deckName, cards) {
+    const collection = await createAnkiCollection(deckName, cards);
+
+    return createZipArchive([
+        { name: 'collection.anki2', data: collection },
+        { name: 'media', data: new TextEncoder().encode('{}') }
+    ]);
+}
+
+/**
+ * Create an Anki collection database holding one deck of new cards
+ * @returns {Promise<Uint8Array>} SQLite database file
+ */
+async function createAnkiCollection(deckName, cards) {
+    const now = Date.now();
+    const nowSeconds = Math.floor(now / 1000);
+    const deckId = now;
+
+    const models = {
+        [ANKI_MODEL_ID]: {
+            id: ANKI_MODEL_ID,
+            name: 'Echo',
+            type: 0,
+            mod: nowSeconds,
+            usn: -1,
+            sortf: 0,
+            did: deckId,
+            tmpls: [{
+                name: 'Card 1',
+                ord: 0,
+                qfmt: '{{Front}}',
+                afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}\n\n<div class="source">{{Source}}</div>',
+                did: null,
+                bqfmt: '',
+                bafmt: ''
+            }],
+            flds: ANKI_FIELDS.map((name, ord) => ({
+                name: name,
+                ord: ord,
+                sticky: false,
+                rtl: false,
+                font: 'Arial',
+                size: 20,
+                media: []
+            })),
+            css: '.card { font-family: arial; font-size: 20px; text-align: left; color: black; background-color: white; }\n' +
+                '.source { margin-top: 16px; font-size: 14px; }',
+            latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n' +
+                '\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+            latexPost: '\\end{document}',
+            latexsvg: false,
+            req: [[0, 'any', [0]]],
+            tags: [],
+            vers: []
+        }
+    };
+
+    const createDeck = (id, name) => ({
+        id: id,
+        name: name,
+        mod: nowSeconds,
+        usn: -1,
+        lrnToday: [0, 0],
+        revToday: [0, 0],
+        newToday: [0, 0],
+        timeToday: [0, 0],
+        collapsed: false,
+        browserCollapsed: false,
+        desc: '',
+        dyn: 0,
+        conf: 1,
+        extendNew: 10,
+        extendRev: 50
+    });
+
+    const decks = {
+        1: createDeck(1, 'Default'),
+        [deckId]: createDeck(deckId, deckName)
+    };
+
+    const deckConfigs = {
+        1: {
+            id: 1,
+            name: 'Default',
+            mod: 0,
+            usn: 0,
+            maxTaken: 60,
+            autoplay: true,
+            timer: 0,
+            replayq: true,
+            dyn: false,
+            new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+            rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 200 },
+            lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 }
+        }
+    };
+
+    const config = {
+        nextPos: cards.length + 1,
+        estTimes: true,
+        activeDecks: [1],
+        sortType: 'noteFld',
+        timeLim: 0,
+        sortBackwards: false,
+        addToCur: true,
+        curDeck: 1,
+        newBury: true,
+        newSpread: 0,
+        dueCounts: true,
+        curModel: String(ANKI_MODEL_ID),
+        collapseTime: 1200
+    };
+
+    const noteRows = [];
+    const cardRows = [];
+
+    for (let i = 0; i < cards.length; i++) {
+        const card = cards[i];
+        const id = now + i;
+        const sortField = stripAnkiHtml(card.front);
+
+        // The checksum Anki uses to find duplicates: the first 8 hex digits of the SHA-1 of the sort field
+        const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(sortField));
+        const checksum = new DataView(digest).getUint32(0);
+
+        noteRows.push({
+            rowid: id,
+            values: [null, `echo:${card.id}`, ANKI_MODEL_ID, nowSeconds, -1, ` ${card.tags.join(' ')} `,
+                [card.front, card.back, card.source].join('\x1f'), sortField, checksum, 0, '']
+        });
+        cardRows.push({
+            rowid: id,
+            values: [null, id, deckId, 0, nowSeconds, -1, 0, 0, i + 1, 0, 0, 0, 0, 0, 0, 0, 0, '']
+        });
+    }
+
+    const collectionRow = {
+        rowid: 1,
+        values: [null, nowSeconds, now, now, 11, 0, 0, 0, JSON.stringify(config), JSON.stringify(models),
+            JSON.stringify(decks), JSON.stringify(deckConfigs), '{}']
+    };
+
+    const rowsByTable = { col: [collectionRow], notes: noteRows, cards: cardRows, revlog: [], graves: [] };
+    const columnsByTable = {};
+    Object.entries(ANKI_SCHEMA).forEach(([table, sql]) => {
+        columnsByTable[table] = Array.from(sql.matchAll(/^\s+(\w+)\s+(?:integer|text)/gm)).map(match => match[1]);
+    });
+
+    return writeSQLiteDatabase(
+        Object.entries(ANKI_SCHEMA).map(([name, sql]) => ({ name, sql, rows: rowsByTable[name] })),
+        ANKI_INDEXES.map(index => ({
+            name: index.name,
+            table: index.table,
+            sql: `CREATE INDEX ${index.name} on ${index.table} (${index.columns.join(', ')})`,
+            // Index entries hold the indexed values followed by the rowid
+            entries: rowsByTable[index.table]
+                .map(row => [
+                    ...index.columns.map(column => row.values[columnsByTable[index.table].indexOf(column)]),
+                    row.rowid
+                ])
+                .sort(compareSQLiteKeys)
+        }))
+    );
+}
+
+/**
+ * Write an SQLite database file holding the given tables and indexes.
+ * Only what Anki's collections need is supported: rowid tables of integers, text and NULLs,
+ * and indexes on integer columns.
+ * @param {Array} tables - { name, sql, rows } with rows { rowid, values } sorted by rowid;
+ *     an INTEGER PRIMARY KEY column is stored as null in values, as SQLite does
+ * @param {Array} indexes - { name, table, sql, entries } with entries sorted arrays of key values
+ * @returns {Uint8Array} Database file
+ */
+function writeSQLiteDatabase(tables, indexes) {
+    // Page 1 holds the file header and the schema table; it is written last
+    const pages = [null];
+    const addPage = page => pages.push(page);
+
+    const schemaRows = [
+        ...tables.map(table => ({
+            values: ['table', table.name, table.name, buildTableBTree(table.rows, pages, addPage), table.sql]
+        })),
+        ...indexes.map(index => ({
+            values: ['index', index.name, index.table, buildIndexBTree(index.entries, pages, addPage), index.sql]
+        }))
+    ].map((row, i) => ({ rowid: i + 1, values: row.values }));
+
+    const schemaCells = schemaRows.map(row => createTableLeafCell(row.rowid, encodeSQLiteRecord(row.values), pages, addPage));
+    pages[0] = writeBTreePage(0x0D, schemaCells, null, 100);
+
+    const file = new Uint8Array(pages.length * SQLITE_PAGE_SIZE);
+    pages.forEach((page, i) => file.set(page, i * SQLITE_PAGE_SIZE));
+
+    // File header
+    const header = new DataView(file.buffer);
+    new TextEncoder().encodeInto('SQLite format 3\0', file);
+    header.setUint16(16, SQLITE_PAGE_SIZE);
+    file[18] = 1; // Legacy (rollback journal) write version
+    file[19] = 1; // Legacy read version
+    file[20] = 0; // Reserved bytes per page
+    file[21] = 64; // Maximum embedded payload fraction
+    file[22] = 32; // Minimum embedded payload fraction
+    file[23] = 32; // Leaf payload fraction
+    header.setUint32(24, 1); // File change counter
+    header.setUint32(28, pages.length); // Database size in pages
+    header.setUint32(40, 1); // Schema cookie
+    header.setUint32(44, 4); // Schema format
+    header.setUint32(56, 1); // UTF-8 text encoding
+    header.setUint32(92, 1); // Version-valid-for, equal to the change counter
+    header.setUint32(96, 3045000); // SQLite version that wrote the file
+
+    return file;
+}
+
+/**
+ * Build a table B-tree and return its root page number
+ */
+function buildTableBTree(rows, pages, addPage) {
+    const cells = rows.map(row => ({
+        key: row.rowid,
+        bytes: createTableLeafCell(row.rowid, encodeSQLiteRecord(row.values), pages, addPage)
+    }));
+
+    // Fill leaf pages in rowid order
+    let level = groupBTreeCells(cells, 8).map(group => {
+        addPage(writeBTreePage(0x0D, group.map(cell => cell.bytes)));
+        return { page: pages.length, key: group.length > 0 ? group[group.length - 1].key : 0 };
+    });
+
+    // Interior pages point to each child with the largest rowid in it; the last child is the right pointer
+    while (level.length > 1) {
+        const children = level.map(child => ({
+            ...child,
+            bytes: concatBytes([uint32Bytes(child.page), encodeSQLiteVarint(child.key)])
+        }));
+        const groups = [];
+        let current = [];
+        let size = 12;
+
+        children.forEach(child => {
+            if (current.length > 1 && size + child.bytes.length + 2 > SQLITE_PAGE_SIZE) {
+                groups.push(current);
+                current = [];
+                size = 12;
+            }
+            current.push(child);
+            size += child.bytes.length + 2;
+        });
+
+        // A page with only a right pointer is not valid, so give it the last child of the previous page
+        if (current.length === 1 && groups.length > 0) {
+            current.unshift(groups[groups.length - 1].pop());
+        }
+        groups.push(current);
+
+        level = groups.map(group => {
+            const right = group[group.length - 1];
+            addPage(writeBTreePage(0x05, group.slice(0, -1).map(child => child.bytes), right.page));
+            return { page: pages.length, key: right.key };
+        });
+    }
+
+    return level[0].page;
+}
+
+/**
+ * Build an index B-tree and return its root page number.
+ * Unlike table B-trees, every entry is stored once: entries between two child pages move up
+ * into their parent page.
+ */
+function buildIndexBTree(entries, pages, addPage) {
+    const maxLocalPayload = Math.floor((SQLITE_PAGE_SIZE - 12) * 64 / 255) - 23;
+
+    let items = entries.map(entry => {
+        const payload = encodeSQLiteRecord(entry);
+        if (payload.length > maxLocalPayload) {
+            throw new Error('Index entry too large');
+        }
+        return { child: null, payload: payload };
+    });
+    let rightChild = null;
+
+    while (true) {
+        const isLeaf = rightChild === null;
+        const cellBytes = item => isLeaf ?
+            concatBytes([encodeSQLiteVarint(item.payload.length), item.payload]) :
+            concatBytes([uint32Bytes(item.child), encodeSQLiteVarint(item.payload.length), item.payload]);
+
+        const headerSize = isLeaf ? 8 : 12;
+        const groups = [];
+        const separators = [];
+        let current = [];
+        let size = headerSize;
+
+        items.forEach(item => {
+            const cellSize = cellBytes(item).length + 2;
+            if (current.length > 0 && size + cellSize > SQLITE_PAGE_SIZE) {
+                // This entry separates the full page from the next one
+                groups.push({ items: current, right: item.child });
+                separators.push(item);
+                current = [];
+                size = headerSize;
+                return;
+            }
+            current.push(item);
+            size += cellSize;
+        });
+
+        // A page cannot be empty, so take the last entry of the previous page as separator instead
+        if (current.length === 0 && groups.length > 0) {
+            const previous = groups.pop();
+            current = [separators.pop()];
+            const last = previous.items.pop();
+            groups.push({ items: previous.items, right: last.child });
+            separators.push(last);
+        }
+        groups.push({ items: current, right: rightChild });
+
+        const groupPages = groups.map(group => {
+            addPage(writeBTreePage(isLeaf ? 0x0A : 0x02, group.items.map(cellBytes), group.right));
+            return pages.length;
+        });
+
+        if (groupPages.length === 1) {
+            return groupPages[0];
+        }
+
+        items = separators.map((separator, i) => ({ child: groupPages[i], payload: separator.payload }));
+        rightChild = groupPages[groupPages.length - 1];
+    }
+}
+
+/**
+ * Split cells into groups that each fit on one page
+ */
+function groupBTreeCells(cells, headerSize) {
+    const groups = [[]];
+    let size = headerSize;
+
+    cells.forEach(cell => {
+        if (groups[groups.length - 1].length > 0 && size + cell.bytes.length + 2 > SQLITE_PAGE_SIZE) {
+            groups.push([]);
+            size = headerSize;
+        }
+        groups[groups.length - 1].push(cell);
+        size += cell.bytes.length + 2;
+    });
+
+    return groups;
+}
+
+/**
+ * Create a table leaf cell, moving the end of a large record to overflow pages
+ */
+function createTableLeafCell(rowid, payload, pages, addPage) {
+    const usable = SQLITE_PAGE_SIZE;
+    const maxLocal = usable - 35;
+    const minLocal = Math.floor((usable - 12) * 32 / 255) - 23;
+
+    let localSize = payload.length;
+    if (payload.length > maxLocal) {
+        const size = minLocal + ((payload.length - minLocal) % (usable - 4));
+        localSize = size <= maxLocal ? size : minLocal;
+    }
+
+    const parts = [encodeSQLiteVarint(payload.length), encodeSQLiteVarint(rowid), payload.subarray(0, localSize)];
+
+    if (localSize < payload.length) {
+        const firstOverflowPage = pages.length + 1;
+        for (let offset = localSize; offset < payload.length; offset += usable - 4) {
+            const chunk = payload.subarray(offset, offset + usable - 4);
+            const isLast = offset + usable - 4 >= payload.length;
+            const page = new Uint8Array(usable);
+            page.set(uint32Bytes(isLast ? 0 : pages.length + 2));
+            page.set(chunk, 4);
+            addPage(page);
+        }
+        parts.push(uint32Bytes(firstOverflowPage));
+    }
+
+    return concatBytes(parts);
+}
+
+/**
+ * Write a B-tree page
+ * @param {number} type - 0x0D table leaf, 0x05 table interior, 0x0A index leaf, 0x02 index interior
+ * @param {Array} cells - Cell contents, in key order
+ * @param {number|null} rightPointer - Right-most child page of interior pages
+ * @param {number} headerOffset - 100 on page 1, after the file header
+ */
+function writeBTreePage(type, cells, rightPointer = null, headerOffset = 0) {
+    const page = new Uint8Array(SQLITE_PAGE_SIZE);
+    const view = new DataView(page.buffer);
+    const isInterior = type === 0x05 || type === 0x02;
+    const pointerStart = headerOffset + (isInterior ? 12 : 8);
+
+    let contentStart = SQLITE_PAGE_SIZE;
+    cells.forEach((cell, i) => {
+        contentStart -= cell.length;
+        page.set(cell, contentStart);
+        view.setUint16(pointerStart + i * 2, contentStart);
+    });
+
+    if (contentStart < pointerStart + cells.length * 2) {
+        throw new Error('B-tree page overflow');
+    }
+
+    page[headerOffset] = type;
+    view.setUint16(headerOffset + 3, cells.length);
+    view.setUint16(headerOffset + 5, contentStart === 65536 ? 0 : contentStart);
+    if (isInterior) {
+        view.setUint32(headerOffset + 8, rightPointer);
+    }
+
+    return page;
+}
+
+/**
+ * Encode a row in SQLite's record format
+ */
+function encodeSQLiteRecord(values) {
+    const types = [];
+    const bodies = [];
+
+    values.forEach(value => {
+        if (value === null || value === undefined) {
+            types.push(0);
+        } else if (typeof value === 'number' && Number.isInteger(value)) {
+            if (value === 0 || value === 1) {
+                types.push(value === 0 ? 8 : 9);
+                return;
+            }
+            const big = BigInt(value);
+            const size = [1, 2, 3, 4, 6, 8].find(bytes => {
+                const limit = 1n << BigInt(bytes * 8 - 1);
+                return big >= -limit && big < limit;
+            });
+            const bytes = new Uint8Array(size);
+            for (let i = 0; i < size; i++) {
+                bytes[size - 1 - i] = Number((big >> BigInt(i * 8)) & 0xFFn);
+            }
+            types.push({ 1: 1, 2: 2, 3: 3, 4: 4, 6: 5, 8: 6 }[size]);
+            bodies.push(bytes);
+        } else if (typeof value === 'number') {
+            const bytes = new Uint8Array(8);
+            new DataView(bytes.buffer).setFloat64(0, value);
+            types.push(7);
+            bodies.push(bytes);
+        } else {
+            const bytes = new TextEncoder().encode(String(value));
+            types.push(bytes.length * 2 + 13);
+            bodies.push(bytes);
+        }
+    });
+
+    // The header size includes its own varint
+    const typeBytes = concatBytes(types.map(encodeSQLiteVarint));
+    let headerSize = typeBytes.length + 1;
+    if (encodeSQLiteVarint(headerSize).length > 1) {
+        headerSize = typeBytes.length + encodeSQLiteVarint(headerSize + 1).length;
+    }
+
+    return concatBytes([encodeSQLiteVarint(headerSize), typeBytes, ...bodies]);
+}
+
+/**
+ * Encode a non-negative integer as an SQLite varint (big-endian, 7 bits per byte, 9 bytes at most)
+ */
+function encodeSQLiteVarint(value) {
+    let big = BigInt(value);
+
+    if (big > 0x00FFFFFFFFFFFFFFn) {
+        const bytes = new Uint8Array(9);
+        bytes[8] = Number(big & 0xFFn);
+        big >>= 8n;
+        for (let i = 7; i >= 0; i--) {
+            bytes[i] = Number(big & 0x7Fn) | 0x80;
+            big >>= 7n;
+        }
+        return bytes;
+    }
+
+    const groups = [];
+    do {
+        groups.unshift(Number(big & 0x7Fn));
+        big >>= 7n;
+    } while (big > 0n);
+
+    return Uint8Array.from(groups.map((group, i) => i < groups.length - 1 ? group | 0x80 : group));
+}
+
+/**
+ * Order index keys the way SQLite does for integer columns: value by value
+ */
+function compareSQLiteKeys(a, b) {
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] !== b[i]) return a[i] < b[i] ? -1 : 1;
+    }
+    return 0;
+}
+
+/**
+ * Create a zip archive of uncompressed files
+ * @param {Array} files - { name, data } with data a Uint8Array
+ * @returns {Uint8Array} Zip file
+ */
+function createZipArchive(files) {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    files.forEach(file => {
+        const name = new TextEncoder().encode(file.name);
+        const checksum = crc32(file.data);
+
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true); // Local file header signature
+        local.setUint16(4, 10, true); // Version needed: stored files
+        local.setUint16(6, 0x0800, true); // UTF-8 file names
+        local.setUint16(8, 0, true); // Stored, no compression
+        local.setUint16(10, dosTime, true);
+        local.setUint16(12, dosDate, true);
+        local.setUint32(14, checksum, true);
+        local.setUint32(18, file.data.length, true);
+        local.setUint32(22, file.data.length, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true); // Central directory header signature
+        central.setUint16(4, 20, true); // Version made by
+        central.setUint16(6, 10, true);
+        central.setUint16(8, 0x0800, true);
+        central.setUint16(10, 0, true);
+        central.setUint16(12, dosTime, true);
+        central.setUint16(14, dosDate, true);
+        central.setUint32(16, checksum, true);
+        central.setUint32(20, file.data.length, true);
+        central.setUint32(24, file.data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true); // Offset of the local header
+
+        localParts.push(new Uint8Array(local.buffer), name, file.data);
+        centralParts.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + file.data.length;
+    });
+
+    const centralDirectory = concatBytes(centralParts);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralDirectory.length, true);
+    end.setUint32(16, offset, true);
+
+    return concatBytes([...localParts, centralDirectory, new Uint8Array(end.buffer)]);
+}
+
+/**
+ * CRC-32 checksum used by zip archives
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i];
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Join byte arrays
+ */
+function concatBytes(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+/**
+ * Big-endian 32-bit integer
+ */
+function uint32Bytes(value) {
+    const bytes = new Uint8Array(4);
+    new DataView(bytes.buffer).setUint32(0, value);
+    return bytes;
+}
+
+/**
+ * Short stable hash of a text, used in card IDs
+ */
+function hashAnkiText(text) {
+    let hash = 5381;
+    const normalized = String(text).trim().toLowerCase();
+    for (let i = 0; i < normalized.length; i++) {
+        hash = ((hash << 5) + hash + normalized.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(36);
+}
+
+/**
+ * Plain text of an HTML card field, as Anki stores it for sorting and duplicate checks
+ */
+function stripAnkiHtml(html) {
+    return html
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createAnkiCards,
+        createAnkiTextExport,
+        createAnkiPackage,
+        writeSQLiteDatabase,
+        createZipArchive
+    };
+}
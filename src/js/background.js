@@ -3,10 +3,36 @@
  * Handles storage, messaging, and scheduled reviews
  */
 
+importScripts('utils.js', 'transcript.js', 'search.js', 'playlist.js');
+
 class EchoBackgroundService {
     constructor() {
         this.storageKey = 'echo_video_library';
         this.srsKey = 'echo_srs_data';
+        this.cardsKey = 'echo_cards';
+        this.studyModulesKey = 'echo_study_modules';
+        this.transcriptsKey = 'echo_transcripts';
+        this.highlightsKey = 'echo_highlights';
+        this.notesKey = 'echo_notes';
+        this.settingsKey = 'echo_settings';
+        this.chatsKey = 'echo_chats';
+        this.coursesKey = 'echo_courses';
+        this.defaultSettings = {
+            aiProvider: 'chrome',
+            openaiBaseUrl: 'http://localhost:11434/v1',
+            openaiModel: 'llama3.1',
+            openaiApiKey: ''
+        };
+        this.difficultyLevels = ['easy', 'medium', 'hard'];
+        this.maxQuizHistory = 10;
+        this.maxChatMessages = 100;
+        this.maxTagLength = 30;
+        this.backupFormat = 'echo-backup';
+        this.backupVersion = 1;
+        this.transcriptService = new TranscriptService();
+        this.playlistService = new PlaylistService(this.transcriptService);
+        // Built on the first search, then kept up to date as videos change
+        this.searchIndexPromise = null;
         this.init();
     }
 
@@ -17,6 +43,7 @@ class EchoBackgroundService {
         this.setupMessageListener();
         this.setupAlarmListener();
         this.setupInstallListener();
+        this.setupNotificationListener();
     }
 
     /**
@@ -55,16 +82,172 @@ class EchoBackgroundService {
                     sendResponse({ success: true });
                     break;
 
+                case 'exportBackup':
+                    const backup = await this.exportBackup();
+                    sendResponse({ success: true, data: backup });
+                    break;
+
+                case 'importBackup':
+                    const importSummary = await this.importBackup(request.data, request.strategy);
+                    sendResponse({ success: true, data: importSummary });
+                    break;
+
+                case 'importPlaylist':
+                    const importResult = await this.importPlaylist(request.playlistId);
+                    sendResponse({ success: true, data: importResult });
+                    break;
+
+                case 'setVideoTags':
+                    const tags = await this.setVideoTags(request.videoId, request.tags);
+                    sendResponse({ success: true, data: tags });
+                    break;
+
+                case 'getCourses':
+                    const courses = await this.getCourses();
+                    sendResponse({ success: true, data: courses });
+                    break;
+
+                case 'createCourse':
+                    const course = await this.createCourse(request.data);
+                    sendResponse({ success: true, data: course });
+                    break;
+
+                case 'updateCourse':
+                    const updatedCourse = await this.updateCourse(request.courseId, request.data);
+                    sendResponse({ success: true, data: updatedCourse });
+                    break;
+
+                case 'deleteCourse':
+                    await this.deleteCourse(request.courseId);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'addVideoToCourse':
+                    const extendedCourse = await this.addVideoToCourse(request.courseId, request.videoId, request.position);
+                    sendResponse({ success: true, data: extendedCourse });
+                    break;
+
+                case 'removeVideoFromCourse':
+                    const reducedCourse = await this.removeVideoFromCourse(request.courseId, request.videoId);
+                    sendResponse({ success: true, data: reducedCourse });
+                    break;
+
+                case 'reorderCourse':
+                    const reorderedCourse = await this.reorderCourse(request.courseId, request.videoIds);
+                    sendResponse({ success: true, data: reorderedCourse });
+                    break;
+
+                case 'getCourseStudyModules':
+                    const courseModules = await this.getCourseStudyModules(request.courseId);
+                    sendResponse({ success: true, data: courseModules });
+                    break;
+
+                case 'searchLibrary':
+                    const searchResults = await this.searchLibrary(request.query, request.limit);
+                    sendResponse({ success: true, data: searchResults });
+                    break;
+
                 case 'getTranscript':
-                    const transcriptData = await this.getTranscriptFromContentScript(sender.tab.id);
+                    const transcriptData = await this.getTranscript(
+                        request.videoId || this.getVideoIdFromTab(sender.tab)
+                    );
                     sendResponse({ success: true, data: transcriptData });
                     break;
 
-                case 'scheduleReview':
-                    await this.scheduleVideoReview(request.videoId, request.reviewDate);
+                case 'refreshTranscript':
+                    const refreshedTranscript = await this.getTranscript(request.videoId, true);
+                    sendResponse({ success: true, data: refreshedTranscript });
+                    break;
+
+                case 'getHighlights':
+                    const highlights = await this.getHighlights(request.videoId);
+                    sendResponse({ success: true, data: highlights });
+                    break;
+
+                case 'addHighlight':
+                    const highlight = await this.addHighlight(request.videoId, request.data);
+                    sendResponse({ success: true, data: highlight });
+                    break;
+
+                case 'updateHighlight':
+                    await this.updateHighlight(request.videoId, request.highlightId, request.data);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'deleteHighlight':
+                    await this.deleteHighlight(request.videoId, request.highlightId);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'clearHighlights':
+                    await this.clearHighlights(request.videoId);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'importHighlights':
+                    const importedCount = await this.importHighlights(request.videoId, request.highlights);
+                    sendResponse({ success: true, data: importedCount });
+                    break;
+
+                case 'getNotes':
+                    const notes = await this.getNotes(request.videoId);
+                    sendResponse({ success: true, data: notes });
+                    break;
+
+                case 'addNote':
+                    const note = await this.addNote(request.videoId, request.data);
+                    sendResponse({ success: true, data: note });
+                    break;
+
+                case 'updateNote':
+                    await this.updateNote(request.videoId, request.noteId, request.data);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'deleteNote':
+                    await this.deleteNote(request.videoId, request.noteId);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'getChatHistory':
+                    const chatHistory = await this.getChatHistory(request.videoId);
+                    sendResponse({ success: true, data: chatHistory });
+                    break;
+
+                case 'addChatMessages':
+                    const chatMessages = await this.addChatMessages(request.videoId, request.data);
+                    sendResponse({ success: true, data: chatMessages });
+                    break;
+
+                case 'clearChatHistory':
+                    await this.clearChatHistory(request.videoId);
                     sendResponse({ success: true });
                     break;
 
+                case 'getSettings':
+                    const settings = await this.getSettings();
+                    sendResponse({ success: true, data: settings });
+                    break;
+
+                case 'saveSettings':
+                    const savedSettings = await this.saveSettings(request.data);
+                    sendResponse({ success: true, data: savedSettings });
+                    break;
+
+                case 'scheduleReview':
+                    const reviewData = await this.scheduleVideoReview(
+                        request.videoId,
+                        request.score,
+                        request.totalQuestions
+                    );
+                    sendResponse({ success: true, data: reviewData });
+                    break;
+
+                case 'recordQuizResult':
+                    const quizResult = await this.recordQuizResult(request.videoId, request.data);
+                    sendResponse({ success: true, data: quizResult });
+                    break;
+
                 case 'getSRSData':
                     const srsData = await this.getSRSData();
                     sendResponse({ success: true, data: srsData });
@@ -75,6 +258,36 @@ class EchoBackgroundService {
                     sendResponse({ success: true });
                     break;
 
+                case 'getStudyModule':
+                    const storedModule = await this.getStudyModule(request.videoId);
+                    sendResponse({ success: true, data: storedModule });
+                    break;
+
+                case 'getStudyNotes':
+                    const studyNotes = await this.getStudyNotes(request.videoId);
+                    sendResponse({ success: true, data: studyNotes });
+                    break;
+
+                case 'saveStudyModule':
+                    const savedModule = await this.saveStudyModule(request.videoId, request.data);
+                    sendResponse({ success: true, data: savedModule });
+                    break;
+
+                case 'saveCards':
+                    await this.saveStudyCards(request.videoId, request.cards);
+                    sendResponse({ success: true });
+                    break;
+
+                case 'getDueCards':
+                    const dueCards = await this.getDueCards(request.limit);
+                    sendResponse({ success: true, data: dueCards });
+                    break;
+
+                case 'reviewCard':
+                    const reviewedCard = await this.reviewCard(request.cardId, request.quality);
+                    sendResponse({ success: true, data: reviewedCard });
+                    break;
+
                 default:
                     sendResponse({ success: false, error: 'Unknown action' });
             }
@@ -94,7 +307,9 @@ class EchoBackgroundService {
             // Check if video already exists
             const existingIndex = library.findIndex(video => video.videoId === videoData.videoId);
             
-            if (existingIndex >= 0) {
+            const isNewVideo = existingIndex < 0;
+
+            if (!isNewVideo) {
                 // Update existing video
                 library[existingIndex] = { ...library[existingIndex], ...videoData };
             } else {
@@ -105,6 +320,8 @@ class EchoBackgroundService {
                     studyCount: 0,
                     lastStudied: null,
                     difficulty: 'medium',
+                    adaptiveDifficulty: true,
+                    quizHistory: [],
                     tags: [],
                     notes: ''
                 });
@@ -112,12 +329,118 @@ class EchoBackgroundService {
 
             await this.saveVideoLibrary(library);
             console.log('Video added to library:', videoData.title);
+
+            // Capture the transcript once so later sessions work offline
+            if (isNewVideo) {
+                try {
+                    await this.getTranscript(videoData.videoId);
+                } catch (error) {
+                    console.warn('Transcript not cached when adding video:', error);
+                }
+            }
+
+            await this.updateSearchIndex(videoData.videoId);
         } catch (error) {
             console.error('Error adding video to library:', error);
             throw error;
         }
     }
 
+    /**
+     * Add every video of a YouTube playlist to the library and keep them together as a course,
+     * in playlist order. Importing a playlist again adds its new videos and updates the order.
+     * @param {string} playlistId - YouTube playlist ID
+     * @returns {Promise<Object>} { course, addedCount, totalCount }
+     */
+    async importPlaylist(playlistId) {
+        try {
+            if (!playlistId) {
+                throw new Error('No playlist ID provided');
+            }
+
+            const playlist = await this.playlistService.getPlaylist(playlistId);
+            const library = await this.getVideoLibrary();
+            const addedAt = Date.now();
+
+            const newVideos = playlist.videos.filter(video =>
+                !library.some(existing => existing.videoId === video.videoId)
+            );
+
+            // Added in one write; the entries match those of addVideoToLibrary
+            newVideos.forEach((video, i) => {
+                library.push({
+                    videoId: video.videoId,
+                    title: video.title,
+                    channelName: video.channelName,
+                    thumbnail: video.thumbnail,
+                    url: `https://www.youtube.com/watch?v=${video.videoId}&list=${playlistId}`,
+                    // Keep playlist order when the library is sorted by date added
+                    addedAt: addedAt - i,
+                    id: this.generateVideoId(),
+                    studyCount: 0,
+                    lastStudied: null,
+                    difficulty: 'medium',
+                    adaptiveDifficulty: true,
+                    quizHistory: [],
+                    tags: [],
+                    notes: ''
+                });
+            });
+            await this.saveVideoLibrary(library);
+
+            const playlistVideoIds = playlist.videos.map(video => video.videoId);
+            const courses = await this.getCourses();
+            const existingCourse = courses.find(c => c.playlistId === playlistId);
+
+            let course;
+            if (existingCourse) {
+                // Videos added to the course by hand stay after the playlist's videos
+                course = await this.changeCourse(existingCourse.id, current => ({
+                    videoIds: [
+                        ...playlistVideoIds,
+                        ...current.videoIds.filter(videoId => !playlistVideoIds.includes(videoId))
+                    ]
+                }));
+            } else {
+                course = await this.createCourse({
+                    name: playlist.title,
+                    description: `YouTube playlist by ${playlist.channelName}`,
+                    playlistId: playlistId,
+                    videoIds: playlistVideoIds
+                });
+            }
+
+            for (const video of newVideos) {
+                await this.updateSearchIndex(video.videoId);
+            }
+
+            // Transcripts are captured one at a time after responding, so large playlists import quickly
+            this.cacheTranscripts(newVideos.map(video => video.videoId));
+
+            return {
+                course: course,
+                addedCount: newVideos.length,
+                totalCount: playlist.videos.length
+            };
+        } catch (error) {
+            console.error('Error importing playlist:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store the transcripts of several videos so they can be studied offline
+     */
+    async cacheTranscripts(videoIds) {
+        for (const videoId of videoIds) {
+            try {
+                await this.getTranscript(videoId);
+            } catch (error) {
+                console.warn(`Transcript not cached for ${videoId}:`, error);
+            }
+        }
+    }
+
     /**
      * Get the video library
      */
@@ -152,14 +475,95 @@ class EchoBackgroundService {
             const filteredLibrary = library.filter(video => video.videoId !== videoId);
             await this.saveVideoLibrary(filteredLibrary);
             
-            // Also remove any scheduled reviews
+            // Also remove any scheduled reviews and flashcards
             await this.cancelVideoReview(videoId);
+            await this.removeVideoCards(videoId);
+            await this.removeStudyModule(videoId);
+            await this.removeStoredTranscript(videoId);
+            await this.clearHighlights(videoId);
+            await this.clearNotes(videoId);
+            await this.clearChatHistory(videoId);
+            await this.removeVideoFromCourses(videoId);
+            await this.updateSearchIndex(videoId);
         } catch (error) {
             console.error('Error removing video from library:', error);
             throw error;
         }
     }
 
+    /**
+     * Store a quiz result for a video and, if adaptive difficulty is on, move the
+     * video's difficulty up or down based on its recent scores
+     * @param {string} videoId - YouTube video ID
+     * @param {Object} result - { score, totalQuestions, difficulty }
+     * @returns {Promise<Object>} { difficulty, previousDifficulty, quizHistory }
+     */
+    async recordQuizResult(videoId, result) {
+        try {
+            const library = await this.getVideoLibrary();
+            const video = library.find(v => v.videoId === videoId);
+
+            if (!video) {
+                throw new Error('Video not found');
+            }
+
+            video.quizHistory = [...(video.quizHistory || []), {
+                score: result.score,
+                totalQuestions: result.totalQuestions,
+                percentage: result.totalQuestions > 0 ? result.score / result.totalQuestions : 0,
+                difficulty: result.difficulty,
+                completedAt: Date.now()
+            }].slice(-this.maxQuizHistory);
+
+            const previousDifficulty = video.difficulty || 'medium';
+            if (video.adaptiveDifficulty !== false) {
+                video.difficulty = this.calculateAdaptiveDifficulty(video.quizHistory, previousDifficulty);
+            }
+
+            await this.saveVideoLibrary(library);
+
+            if (video.difficulty !== previousDifficulty) {
+                console.log(`Difficulty for video ${videoId} changed from ${previousDifficulty} to ${video.difficulty}`);
+            }
+
+            return {
+                difficulty: video.difficulty,
+                previousDifficulty: previousDifficulty,
+                quizHistory: video.quizHistory
+            };
+        } catch (error) {
+            console.error('Error recording quiz result:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Calculate the next difficulty from the last two quizzes taken at the current difficulty:
+     * an average of 85% or more moves up a level, below 50% moves down a level
+     * @param {Array} quizHistory - Quiz results, oldest first
+     * @param {string} currentDifficulty - Current difficulty level
+     * @returns {string} New difficulty level
+     */
+    calculateAdaptiveDifficulty(quizHistory, currentDifficulty) {
+        const levelIndex = Math.max(0, this.difficultyLevels.indexOf(currentDifficulty));
+        const recent = quizHistory
+            .filter(result => result.difficulty === currentDifficulty)
+            .slice(-2);
+
+        // A single quiz is not enough evidence to change the level
+        if (recent.length < 2) return this.difficultyLevels[levelIndex];
+
+        const average = recent.reduce((total, result) => total + result.percentage, 0) / recent.length;
+
+        if (average >= 0.85) {
+            return this.difficultyLevels[Math.min(levelIndex + 1, this.difficultyLevels.length - 1)];
+        }
+        if (average < 0.5) {
+            return this.difficultyLevels[Math.max(levelIndex - 1, 0)];
+        }
+        return this.difficultyLevels[levelIndex];
+    }
+
     /**
      * Update video in library
      */
@@ -171,6 +575,7 @@ class EchoBackgroundService {
             if (videoIndex >= 0) {
                 library[videoIndex] = { ...library[videoIndex], ...updateData };
                 await this.saveVideoLibrary(library);
+                await this.updateSearchIndex(videoId);
             }
         } catch (error) {
             console.error('Error updating video in library:', error);
@@ -179,139 +584,1527 @@ class EchoBackgroundService {
     }
 
     /**
-     * Get transcript from content script
+     * Replace the tags of a video. Tags are trimmed and duplicates are dropped, ignoring case.
+     * @returns {Promise<Array>} The stored tags
      */
-    async getTranscriptFromContentScript(tabId) {
+    async setVideoTags(videoId, tags) {
+        const seen = new Set();
+        const normalizedTags = (Array.isArray(tags) ? tags : [])
+            .map(tag => String(tag).replace(/\s+/g, ' ').trim().slice(0, this.maxTagLength))
+            .filter(tag => {
+                const key = tag.toLowerCase();
+                if (!tag || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+
+        await this.updateVideoInLibrary(videoId, { tags: normalizedTags });
+        return normalizedTags;
+    }
+
+    /**
+     * Get all courses. A course is an ordered list of library videos:
+     * { id, name, description, playlistId, videoIds, createdAt, updatedAt }
+     * where playlistId is set for courses imported from a YouTube playlist
+     */
+    async getCourses() {
         try {
-            const response = await chrome.tabs.sendMessage(tabId, { action: 'getTranscript' });
-            return response.data;
+            const result = await chrome.storage.local.get([this.coursesKey]);
+            return result[this.coursesKey] || [];
         } catch (error) {
-            console.error('Error getting transcript from content script:', error);
+            console.error('Error getting courses:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save all courses
+     */
+    async saveCourses(courses) {
+        try {
+            await chrome.storage.local.set({ [this.coursesKey]: courses });
+        } catch (error) {
+            console.error('Error saving courses:', error);
             throw error;
         }
     }
 
     /**
-     * Schedule a video review using Spaced Repetition System
+     * Create an empty course
+     * @param {Object} courseData - { name, description, playlistId, videoIds }
+     * @returns {Promise<Object>} The stored course
      */
-    async scheduleVideoReview(videoId, reviewDate) {
+    async createCourse(courseData) {
         try {
-            const alarmName = `echo_review_${videoId}`;
-            
-            // Cancel existing alarm if any
-            await chrome.alarms.clear(alarmName);
-            
-            // Create new alarm
-            await chrome.alarms.create(alarmName, {
-                when: reviewDate.getTime()
-            });
+            const name = courseData && courseData.name ? courseData.name.trim() : '';
+            if (!name) {
+                throw new Error('Course name is required');
+            }
 
-            // Update SRS data
-            const srsData = await this.getSRSData();
-            srsData[videoId] = {
-                nextReview: reviewDate.getTime(),
-                interval: this.calculateNextInterval(srsData[videoId]?.interval || 1),
-                easeFactor: srsData[videoId]?.easeFactor || 2.5,
-                repetitions: (srsData[videoId]?.repetitions || 0) + 1
+            const library = await this.getVideoLibrary();
+            const videoIds = Array.from(new Set(courseData.videoIds || []))
+                .filter(videoId => library.some(video => video.videoId === videoId));
+
+            const courses = await this.getCourses();
+            const course = {
+                id: this.generateCourseId(),
+                name: name,
+                description: (courseData.description || '').trim(),
+                playlistId: courseData.playlistId || null,
+                videoIds: videoIds,
+                createdAt: Date.now(),
+                updatedAt: Date.now()
             };
-            await this.saveSRSData(srsData);
 
-            console.log(`Scheduled review for video ${videoId} at ${reviewDate}`);
+            courses.push(course);
+            await this.saveCourses(courses);
+
+            return course;
         } catch (error) {
-            console.error('Error scheduling video review:', error);
+            console.error('Error creating course:', error);
             throw error;
         }
     }
 
     /**
-     * Cancel a scheduled video review
+     * Apply a change to a course and store it
+     * @param {string} courseId - Course ID
+     * @param {Function} change - Receives the course and returns its new fields
+     * @returns {Promise<Object>} The updated course
      */
-    async cancelVideoReview(videoId) {
+    async changeCourse(courseId, change) {
+        const courses = await this.getCourses();
+        const courseIndex = courses.findIndex(c => c.id === courseId);
+
+        if (courseIndex < 0) {
+            throw new Error('Course not found');
+        }
+
+        courses[courseIndex] = {
+            ...courses[courseIndex],
+            ...change(courses[courseIndex]),
+            updatedAt: Date.now()
+        };
+        await this.saveCourses(courses);
+
+        return courses[courseIndex];
+    }
+
+    /**
+     * Rename a course or change its description
+     */
+    async updateCourse(courseId, updateData) {
         try {
-            const alarmName = `echo_review_${videoId}`;
-            await chrome.alarms.clear(alarmName);
-            
-            // Remove from SRS data
-            const srsData = await this.getSRSData();
-            delete srsData[videoId];
-            await this.saveSRSData(srsData);
+            return await this.changeCourse(courseId, course => {
+                const name = updateData.name !== undefined ? updateData.name.trim() : course.name;
+                if (!name) {
+                    throw new Error('Course name is required');
+                }
+
+                return {
+                    name: name,
+                    description: updateData.description !== undefined ?
+                        updateData.description.trim() : course.description
+                };
+            });
         } catch (error) {
-            console.error('Error canceling video review:', error);
+            console.error('Error updating course:', error);
+            throw error;
         }
     }
 
     /**
-     * Calculate next interval for spaced repetition
+     * Delete a course; its videos stay in the library
      */
-    calculateNextInterval(currentInterval) {
-        // Simple spaced repetition algorithm
-        if (currentInterval === 1) return 1; // 1 day
-        if (currentInterval === 1) return 6; // 6 days
-        return Math.min(currentInterval * 2, 30); // Max 30 days
+    async deleteCourse(courseId) {
+        try {
+            const courses = await this.getCourses();
+            await this.saveCourses(courses.filter(c => c.id !== courseId));
+        } catch (error) {
+            console.error('Error deleting course:', error);
+            throw error;
+        }
     }
 
     /**
-     * Get SRS data
+     * Add a library video to a course, or move it if it is already part of it
+     * @param {string} courseId - Course ID
+     * @param {string} videoId - YouTube video ID
+     * @param {number} position - Index to insert the video at; the end of the course by default
+     * @returns {Promise<Object>} The updated course
      */
-    async getSRSData() {
+    async addVideoToCourse(courseId, videoId, position) {
         try {
-            const result = await chrome.storage.local.get([this.srsKey]);
-            return result[this.srsKey] || {};
+            const library = await this.getVideoLibrary();
+            if (!library.some(video => video.videoId === videoId)) {
+                throw new Error('Video not found');
+            }
+
+            return await this.changeCourse(courseId, course => {
+                const videoIds = course.videoIds.filter(id => id !== videoId);
+                const index = Number.isInteger(position) ?
+                    Math.max(0, Math.min(position, videoIds.length)) : videoIds.length;
+
+                videoIds.splice(index, 0, videoId);
+                return { videoIds };
+            });
         } catch (error) {
-            console.error('Error getting SRS data:', error);
-            return {};
+            console.error('Error adding video to course:', error);
+            throw error;
         }
     }
 
     /**
-     * Save SRS data
+     * Remove a video from a course; it stays in the library
      */
-    async saveSRSData(srsData) {
+    async removeVideoFromCourse(courseId, videoId) {
         try {
-            await chrome.storage.local.set({ [this.srsKey]: srsData });
+            return await this.changeCourse(courseId, course => ({
+                videoIds: course.videoIds.filter(id => id !== videoId)
+            }));
         } catch (error) {
-            console.error('Error saving SRS data:', error);
+            console.error('Error removing video from course:', error);
             throw error;
         }
     }
 
     /**
-     * Update SRS data for a specific video
+     * Set the order of the videos in a course
+     * @param {string} courseId - Course ID
+     * @param {Array} videoIds - The course's video IDs in their new order
+     * @returns {Promise<Object>} The updated course
      */
-    async updateSRSData(videoId, data) {
+    async reorderCourse(courseId, videoIds) {
         try {
-            const srsData = await this.getSRSData();
-            srsData[videoId] = { ...srsData[videoId], ...data };
-            await this.saveSRSData(srsData);
+            return await this.changeCourse(courseId, course => {
+                const sameVideos = Array.isArray(videoIds) &&
+                    videoIds.length === course.videoIds.length &&
+                    new Set(videoIds).size === videoIds.length &&
+                    videoIds.every(id => course.videoIds.includes(id));
+
+                if (!sameVideos) {
+                    throw new Error('The new order must contain exactly the videos of the course');
+                }
+
+                return { videoIds: videoIds.slice() };
+            });
         } catch (error) {
-            console.error('Error updating SRS data:', error);
+            console.error('Error reordering course:', error);
             throw error;
         }
     }
 
     /**
-     * Setup alarm listener for scheduled reviews
+     * Remove a deleted video from every course
      */
-    setupAlarmListener() {
-        chrome.alarms.onAlarm.addListener(async (alarm) => {
-            if (alarm.name.startsWith('echo_review_')) {
-                await this.handleReviewAlarm(alarm);
-            }
-        });
+    async removeVideoFromCourses(videoId) {
+        try {
+            const courses = await this.getCourses();
+            await this.saveCourses(courses.map(course => course.videoIds.includes(videoId) ?
+                { ...course, videoIds: course.videoIds.filter(id => id !== videoId), updatedAt: Date.now() } :
+                course
+            ));
+        } catch (error) {
+            console.error('Error removing video from courses:', error);
+        }
     }
 
     /**
-     * Handle review alarm
+     * Get the stored study modules of every video in a course, in course order
+     * @returns {Promise<Object>} { course, videos } where videos are { videoId, title, studyModule }
+     *     and studyModule is null for videos that have not been studied yet
      */
-    async handleReviewAlarm(alarm) {
-        try {
-            const videoId = alarm.name.replace('echo_review_', '');
-            const library = await this.getVideoLibrary();
-            const video = library.find(v => v.videoId === videoId);
-            
-            if (video) {
+    async getCourseStudyModules(courseId) {
+        const courses = await this.getCourses();
+        const course = courses.find(c => c.id === courseId);
+        if (!course) {
+            throw new Error('Course not found');
+        }
+
+        const library = await this.getVideoLibrary();
+        const studyModules = await this.getStudyModules();
+
+        return {
+            course: course,
+            videos: course.videoIds
+                .map(videoId => library.find(video => video.videoId === videoId))
+                .filter(Boolean)
+                .map(video => ({
+                    videoId: video.videoId,
+                    title: video.title,
+                    studyModule: studyModules[video.videoId]?.studyModule || null
+                }))
+        };
+    }
+
+    /**
+     * Search titles, channels, study modules, notes and transcripts across the library
+     * @param {string} query - Search text
+     * @param {number} limit - Maximum number of videos to return
+     * @returns {Promise<Array>} { videoId, title, channelName, thumbnail, score, matches } ordered by
+     *     relevance, where matches are { field, snippet, time }
+     */
+    async searchLibrary(query, limit = 20) {
+        try {
+            if (!query || !query.trim()) return [];
+
+            const searchIndex = await this.getSearchIndex();
+            const library = await this.getVideoLibrary();
+
+            return searchIndex.search(query, { limit })
+                .map(result => {
+                    const video = library.find(v => v.videoId === result.videoId);
+                    return video && {
+                        ...result,
+                        title: video.title,
+                        channelName: video.channelName,
+                        thumbnail: video.thumbnail
+                    };
+                })
+                .filter(Boolean);
+        } catch (error) {
+            console.error('Error searching library:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the search index, building it from storage the first time
+     */
+    getSearchIndex() {
+        if (!this.searchIndexPromise) {
+            this.searchIndexPromise = this.buildSearchIndex().catch(error => {
+                this.searchIndexPromise = null;
+                throw error;
+            });
+        }
+        return this.searchIndexPromise;
+    }
+
+    /**
+     * Index every video in the library
+     */
+    async buildSearchIndex() {
+        const searchIndex = new LibrarySearchIndex();
+        const library = await this.getVideoLibrary();
+        const studyModules = await this.getStudyModules();
+        const transcripts = await this.getStoredTranscripts();
+        const allNotes = await this.getAllNotes();
+
+        library.forEach(video => {
+            searchIndex.setVideo(video, {
+                studyModule: studyModules[video.videoId]?.studyModule,
+                transcript: transcripts[video.videoId]?.segments,
+                notes: allNotes[video.videoId]
+            });
+        });
+
+        return searchIndex;
+    }
+
+    /**
+     * Re-index a single video after it changed, or drop it if it left the library.
+     * Nothing is done before the first search; the index is built with the latest data then.
+     */
+    async updateSearchIndex(videoId) {
+        if (!this.searchIndexPromise) return;
+
+        try {
+            const searchIndex = await this.searchIndexPromise;
+            const library = await this.getVideoLibrary();
+            const video = library.find(v => v.videoId === videoId);
+
+            if (!video) {
+                searchIndex.removeVideo(videoId);
+                return;
+            }
+
+            searchIndex.setVideo(video, {
+                studyModule: (await this.getStudyModule(videoId))?.studyModule,
+                transcript: (await this.getStoredTranscript(videoId))?.segments,
+                notes: await this.getNotes(videoId)
+            });
+        } catch (error) {
+            console.error('Error updating search index:', error);
+        }
+    }
+
+    /**
+     * Get all stored study modules, keyed by video ID
+     */
+    async getStudyModules() {
+        try {
+            const result = await chrome.storage.local.get([this.studyModulesKey]);
+            return result[this.studyModulesKey] || {};
+        } catch (error) {
+            console.error('Error getting study modules:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get the stored study module for a video
+     * @returns {Promise<Object|null>} { studyModule, generatedAt, difficulty, promptVersion } or null
+     */
+    async getStudyModule(videoId) {
+        const studyModules = await this.getStudyModules();
+        return studyModules[videoId] || null;
+    }
+
+    /**
+     * Get everything the study notes export of a video shows
+     * @returns {Promise<Object>} { video, studyModule, highlights, notes } where studyModule is null
+     *     for videos that have not been studied yet
+     */
+    async getStudyNotes(videoId) {
+        const library = await this.getVideoLibrary();
+        const video = library.find(v => v.videoId === videoId);
+        if (!video) {
+            throw new Error('Video not found in library');
+        }
+
+        const storedModule = await this.getStudyModule(videoId);
+
+        return {
+            video: video,
+            studyModule: storedModule ? storedModule.studyModule : null,
+            highlights: await this.getHighlights(videoId),
+            notes: await this.getNotes(videoId)
+        };
+    }
+
+    /**
+     * Store the generated study module for a video, replacing any previous one
+     * @param {string} videoId - YouTube video ID
+     * @param {Object} data - { studyModule, difficulty, promptVersion }
+     */
+    async saveStudyModule(videoId, data) {
+        try {
+            const studyModules = await this.getStudyModules();
+            studyModules[videoId] = {
+                studyModule: data.studyModule,
+                difficulty: data.difficulty,
+                promptVersion: data.promptVersion,
+                generatedAt: Date.now()
+            };
+            await chrome.storage.local.set({ [this.studyModulesKey]: studyModules });
+            await this.updateSearchIndex(videoId);
+            return studyModules[videoId];
+        } catch (error) {
+            console.error('Error saving study module:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the stored study module for a video
+     */
+    async removeStudyModule(videoId) {
+        try {
+            const studyModules = await this.getStudyModules();
+            delete studyModules[videoId];
+            await chrome.storage.local.set({ [this.studyModulesKey]: studyModules });
+        } catch (error) {
+            console.error('Error removing study module:', error);
+        }
+    }
+
+    /**
+     * Get the transcript for a video.
+     * The stored copy is used unless a refresh is requested; otherwise it is acquired and stored.
+     * @param {string} videoId - YouTube video ID
+     * @param {boolean} forceRefresh - Re-acquire the transcript even if one is stored
+     * @returns {Promise<Object>} { transcript, highlights, notes, videoId, language, source, fetchedAt }
+     */
+    async getTranscript(videoId, forceRefresh = false) {
+        if (!videoId) {
+            throw new Error('No video ID provided');
+        }
+
+        let storedTranscript = forceRefresh ? null : await this.getStoredTranscript(videoId);
+
+        if (!storedTranscript) {
+            storedTranscript = await this.fetchTranscript(videoId);
+            await this.saveStoredTranscript(videoId, storedTranscript);
+        }
+
+        return {
+            transcript: storedTranscript.segments,
+            highlights: await this.getHighlights(videoId),
+            notes: await this.getNotes(videoId),
+            videoId: videoId,
+            language: storedTranscript.language,
+            source: storedTranscript.source,
+            fetchedAt: storedTranscript.fetchedAt
+        };
+    }
+
+    /**
+     * Acquire a transcript from YouTube.
+     * Captions are fetched directly; an open tab playing the video is only used as a fallback.
+     */
+    async fetchTranscript(videoId) {
+        try {
+            const transcript = await this.transcriptService.getTranscript(videoId);
+            return {
+                ...transcript,
+                source: 'caption-track',
+                fetchedAt: Date.now()
+            };
+        } catch (error) {
+            console.warn('Caption track unavailable, falling back to the transcript panel:', error);
+
+            const tab = await this.findVideoTab(videoId);
+            if (!tab) {
+                throw new Error(`Could not retrieve transcript: ${error.message}`);
+            }
+
+            const transcriptData = await this.getTranscriptFromContentScript(tab.id);
+            if (!transcriptData.transcript || transcriptData.transcript.length === 0) {
+                throw new Error('Transcript panel is empty');
+            }
+
+            return {
+                segments: transcriptData.transcript,
+                language: transcriptData.language || null,
+                languageName: null,
+                kind: null,
+                source: 'transcript-panel',
+                fetchedAt: Date.now()
+            };
+        }
+    }
+
+    /**
+     * Get all stored transcripts, keyed by video ID
+     */
+    async getStoredTranscripts() {
+        try {
+            const result = await chrome.storage.local.get([this.transcriptsKey]);
+            return result[this.transcriptsKey] || {};
+        } catch (error) {
+            console.error('Error getting stored transcripts:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Get the stored transcript for a video
+     * @returns {Promise<Object|null>} { segments, language, languageName, kind, source, fetchedAt } or null
+     */
+    async getStoredTranscript(videoId) {
+        const transcripts = await this.getStoredTranscripts();
+        return transcripts[videoId] || null;
+    }
+
+    /**
+     * Store the transcript for a video
+     */
+    async saveStoredTranscript(videoId, transcript) {
+        try {
+            const transcripts = await this.getStoredTranscripts();
+            transcripts[videoId] = transcript;
+            await chrome.storage.local.set({ [this.transcriptsKey]: transcripts });
+            await this.updateSearchIndex(videoId);
+        } catch (error) {
+            console.error('Error saving transcript:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove the stored transcript for a video
+     */
+    async removeStoredTranscript(videoId) {
+        try {
+            const transcripts = await this.getStoredTranscripts();
+            delete transcripts[videoId];
+            await chrome.storage.local.set({ [this.transcriptsKey]: transcripts });
+        } catch (error) {
+            console.error('Error removing stored transcript:', error);
+        }
+    }
+
+    /**
+     * Get the video ID of a YouTube watch tab
+     */
+    getVideoIdFromTab(tab) {
+        if (!tab?.url) return null;
+        return new URL(tab.url).searchParams.get('v');
+    }
+
+    /**
+     * Find an open YouTube tab playing the given video
+     */
+    async findVideoTab(videoId) {
+        const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/watch*' });
+        return tabs.find(tab => this.getVideoIdFromTab(tab) === videoId) || null;
+    }
+
+    /**
+     * Get transcript from content script
+     */
+    async getTranscriptFromContentScript(tabId) {
+        try {
+            const response = await chrome.tabs.sendMessage(tabId, { action: 'getTranscript' });
+            if (!response || !response.success) {
+                throw new Error(response?.error || 'No response from content script');
+            }
+            return response.data;
+        } catch (error) {
+            console.error('Error getting transcript from content script:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all highlights, keyed by video ID
+     */
+    async getAllHighlights() {
+        try {
+            const result = await chrome.storage.local.get([this.highlightsKey]);
+            return result[this.highlightsKey] || {};
+        } catch (error) {
+            console.error('Error getting highlights:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save all highlights
+     */
+    async saveAllHighlights(allHighlights) {
+        try {
+            await chrome.storage.local.set({ [this.highlightsKey]: allHighlights });
+        } catch (error) {
+            console.error('Error saving highlights:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the highlights for a video, in transcript order
+     */
+    async getHighlights(videoId) {
+        const allHighlights = await this.getAllHighlights();
+        return (allHighlights[videoId] || [])
+            .slice()
+            .sort((a, b) => (a.startTime ?? Infinity) - (b.startTime ?? Infinity));
+    }
+
+    /**
+     * Add a highlight to a video
+     * @param {string} videoId - YouTube video ID
+     * @param {Object} highlightData - { text, timestamp, startTime, color, note }
+     * @returns {Promise<Object>} The stored highlight
+     */
+    async addHighlight(videoId, highlightData) {
+        try {
+            if (!highlightData || !highlightData.text) {
+                throw new Error('Highlight text is required');
+            }
+
+            const allHighlights = await this.getAllHighlights();
+            const highlight = {
+                id: this.generateHighlightId(),
+                text: highlightData.text,
+                timestamp: highlightData.timestamp || null,
+                startTime: highlightData.startTime ?? null,
+                color: highlightData.color || 'yellow',
+                note: highlightData.note || '',
+                createdAt: Date.now()
+            };
+
+            allHighlights[videoId] = [...(allHighlights[videoId] || []), highlight];
+            await this.saveAllHighlights(allHighlights);
+
+            return highlight;
+        } catch (error) {
+            console.error('Error adding highlight:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update the color or note of a highlight
+     */
+    async updateHighlight(videoId, highlightId, updateData) {
+        try {
+            const allHighlights = await this.getAllHighlights();
+            const videoHighlights = allHighlights[videoId] || [];
+            const highlightIndex = videoHighlights.findIndex(h => h.id === highlightId);
+
+            if (highlightIndex < 0) {
+                throw new Error('Highlight not found');
+            }
+
+            videoHighlights[highlightIndex] = {
+                ...videoHighlights[highlightIndex],
+                ...updateData,
+                id: highlightId,
+                updatedAt: Date.now()
+            };
+            allHighlights[videoId] = videoHighlights;
+            await this.saveAllHighlights(allHighlights);
+        } catch (error) {
+            console.error('Error updating highlight:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a highlight
+     */
+    async deleteHighlight(videoId, highlightId) {
+        try {
+            const allHighlights = await this.getAllHighlights();
+            allHighlights[videoId] = (allHighlights[videoId] || []).filter(h => h.id !== highlightId);
+            await this.saveAllHighlights(allHighlights);
+        } catch (error) {
+            console.error('Error deleting highlight:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete every highlight of a video
+     */
+    async clearHighlights(videoId) {
+        try {
+            const allHighlights = await this.getAllHighlights();
+            delete allHighlights[videoId];
+            await this.saveAllHighlights(allHighlights);
+        } catch (error) {
+            console.error('Error clearing highlights:', error);
+        }
+    }
+
+    /**
+     * Import highlights previously kept in the YouTube page's localStorage.
+     * Highlights whose text is already stored are skipped.
+     * @returns {Promise<number>} Number of highlights imported
+     */
+    async importHighlights(videoId, legacyHighlights) {
+        try {
+            const allHighlights = await this.getAllHighlights();
+            const videoHighlights = allHighlights[videoId] || [];
+            const knownTexts = new Set(videoHighlights.map(h => h.text));
+            let importedCount = 0;
+
+            (legacyHighlights || []).forEach(legacy => {
+                const highlight = typeof legacy === 'string' ? { text: legacy } : legacy;
+                if (!highlight || !highlight.text || knownTexts.has(highlight.text)) return;
+
+                videoHighlights.push({
+                    id: highlight.id || this.generateHighlightId(),
+                    text: highlight.text,
+                    timestamp: highlight.timestamp || null,
+                    startTime: highlight.startTime ?? null,
+                    color: highlight.color || 'yellow',
+                    note: highlight.note || '',
+                    createdAt: highlight.createdAt || Date.now()
+                });
+                knownTexts.add(highlight.text);
+                importedCount++;
+            });
+
+            allHighlights[videoId] = videoHighlights;
+            await this.saveAllHighlights(allHighlights);
+
+            return importedCount;
+        } catch (error) {
+            console.error('Error importing highlights:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all timestamped notes, keyed by video ID
+     */
+    async getAllNotes() {
+        try {
+            const result = await chrome.storage.local.get([this.notesKey]);
+            return result[this.notesKey] || {};
+        } catch (error) {
+            console.error('Error getting notes:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save all timestamped notes
+     */
+    async saveAllNotes(allNotes) {
+        try {
+            await chrome.storage.local.set({ [this.notesKey]: allNotes });
+        } catch (error) {
+            console.error('Error saving notes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the notes for a video, ordered by video time
+     */
+    async getNotes(videoId) {
+        const allNotes = await this.getAllNotes();
+        return (allNotes[videoId] || []).slice().sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Add a timestamped note to a video
+     * @param {string} videoId - YouTube video ID
+     * @param {Object} noteData - { text, time } where time is the video position in seconds
+     * @returns {Promise<Object>} The stored note
+     */
+    async addNote(videoId, noteData) {
+        try {
+            if (!noteData || !noteData.text || !noteData.text.trim()) {
+                throw new Error('Note text is required');
+            }
+
+            const allNotes = await this.getAllNotes();
+            const time = Math.max(0, Math.floor(noteData.time || 0));
+            const note = {
+                id: this.generateNoteId(),
+                text: noteData.text.trim(),
+                time: time,
+                timestamp: this.transcriptService.formatTimestamp(time),
+                createdAt: Date.now()
+            };
+
+            allNotes[videoId] = [...(allNotes[videoId] || []), note];
+            await this.saveAllNotes(allNotes);
+            await this.updateSearchIndex(videoId);
+
+            return note;
+        } catch (error) {
+            console.error('Error adding note:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update the text of a note
+     */
+    async updateNote(videoId, noteId, updateData) {
+        try {
+            const allNotes = await this.getAllNotes();
+            const videoNotes = allNotes[videoId] || [];
+            const noteIndex = videoNotes.findIndex(n => n.id === noteId);
+
+            if (noteIndex < 0) {
+                throw new Error('Note not found');
+            }
+
+            videoNotes[noteIndex] = {
+                ...videoNotes[noteIndex],
+                text: updateData.text ?? videoNotes[noteIndex].text,
+                updatedAt: Date.now()
+            };
+            allNotes[videoId] = videoNotes;
+            await this.saveAllNotes(allNotes);
+            await this.updateSearchIndex(videoId);
+        } catch (error) {
+            console.error('Error updating note:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a note
+     */
+    async deleteNote(videoId, noteId) {
+        try {
+            const allNotes = await this.getAllNotes();
+            allNotes[videoId] = (allNotes[videoId] || []).filter(n => n.id !== noteId);
+            await this.saveAllNotes(allNotes);
+            await this.updateSearchIndex(videoId);
+        } catch (error) {
+            console.error('Error deleting note:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete every note of a video
+     */
+    async clearNotes(videoId) {
+        try {
+            const allNotes = await this.getAllNotes();
+            delete allNotes[videoId];
+            await this.saveAllNotes(allNotes);
+        } catch (error) {
+            console.error('Error clearing notes:', error);
+        }
+    }
+
+    /**
+     * Get all Q&A chat histories, keyed by video ID
+     */
+    async getAllChats() {
+        try {
+            const result = await chrome.storage.local.get([this.chatsKey]);
+            return result[this.chatsKey] || {};
+        } catch (error) {
+            console.error('Error getting chat history:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save all Q&A chat histories
+     */
+    async saveAllChats(allChats) {
+        try {
+            await chrome.storage.local.set({ [this.chatsKey]: allChats });
+        } catch (error) {
+            console.error('Error saving chat history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the Q&A chat history of a video, oldest message first
+     */
+    async getChatHistory(videoId) {
+        const allChats = await this.getAllChats();
+        return allChats[videoId] || [];
+    }
+
+    /**
+     * Append messages to the Q&A chat history of a video
+     * @param {string} videoId - YouTube video ID
+     * @param {Array} messages - { role: 'user' or 'assistant', text, citations, answeredBy }
+     * @returns {Promise<Array>} The stored messages
+     */
+    async addChatMessages(videoId, messages) {
+        try {
+            const newMessages = (messages || [])
+                .filter(message => message && message.text && message.text.trim())
+                .map(message => ({
+                    id: this.generateChatMessageId(),
+                    role: message.role === 'assistant' ? 'assistant' : 'user',
+                    text: message.text.trim(),
+                    citations: Array.isArray(message.citations) ? message.citations : [],
+                    answeredBy: message.answeredBy || null,
+                    createdAt: Date.now()
+                }));
+
+            if (newMessages.length === 0) {
+                throw new Error('Message text is required');
+            }
+
+            const allChats = await this.getAllChats();
+            allChats[videoId] = [...(allChats[videoId] || []), ...newMessages].slice(-this.maxChatMessages);
+            await this.saveAllChats(allChats);
+
+            return newMessages;
+        } catch (error) {
+            console.error('Error adding chat messages:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete the Q&A chat history of a video
+     */
+    async clearChatHistory(videoId) {
+        try {
+            const allChats = await this.getAllChats();
+            delete allChats[videoId];
+            await this.saveAllChats(allChats);
+        } catch (error) {
+            console.error('Error clearing chat history:', error);
+        }
+    }
+
+    /**
+     * Schedule a video review using the SM-2 spaced repetition algorithm
+     * @param {string} videoId - YouTube video ID
+     * @param {number} score - Number of quiz questions answered correctly
+     * @param {number} totalQuestions - Number of questions in the quiz
+     * @returns {Promise<Object>} Updated SRS entry for the video
+     */
+    async scheduleVideoReview(videoId, score, totalQuestions) {
+        try {
+            const quality = this.calculateQualityGrade(score, totalQuestions);
+
+            const srsData = await this.getSRSData();
+            srsData[videoId] = {
+                ...srsData[videoId],
+                ...this.calculateNextReview(srsData[videoId], quality),
+                lastScore: totalQuestions > 0 ? score / totalQuestions : 0,
+                lastQuality: quality,
+                lastReviewed: Date.now()
+            };
+            await this.saveSRSData(srsData);
+
+            await this.createReviewAlarm(videoId, srsData[videoId].nextReview);
+
+            console.log(`Scheduled review for video ${videoId} in ${srsData[videoId].interval} day(s)`);
+            return srsData[videoId];
+        } catch (error) {
+            console.error('Error scheduling video review:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create (or replace) the review alarm for a video
+     */
+    async createReviewAlarm(videoId, when) {
+        const alarmName = `echo_review_${videoId}`;
+
+        // Cancel existing alarm if any
+        await chrome.alarms.clear(alarmName);
+
+        // Create new alarm
+        await chrome.alarms.create(alarmName, { when: when });
+    }
+
+    /**
+     * Postpone a scheduled review without changing its SM-2 state
+     */
+    async postponeVideoReview(videoId, delayMs) {
+        try {
+            const when = Date.now() + delayMs;
+            await this.createReviewAlarm(videoId, when);
+            await this.updateSRSData(videoId, { nextReview: when });
+        } catch (error) {
+            console.error('Error postponing video review:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a scheduled video review
+     */
+    async cancelVideoReview(videoId) {
+        try {
+            const alarmName = `echo_review_${videoId}`;
+            await chrome.alarms.clear(alarmName);
+            
+            // Remove from SRS data
+            const srsData = await this.getSRSData();
+            delete srsData[videoId];
+            await this.saveSRSData(srsData);
+        } catch (error) {
+            console.error('Error canceling video review:', error);
+        }
+    }
+
+    /**
+     * Convert a quiz score into an SM-2 quality grade (0-5)
+     */
+    calculateQualityGrade(score, totalQuestions) {
+        if (!totalQuestions) return 0;
+
+        const percentage = (score / totalQuestions) * 100;
+        if (percentage >= 90) return 5; // Perfect recall
+        if (percentage >= 80) return 4; // Correct with some hesitation
+        if (percentage >= 60) return 3; // Correct with difficulty
+        if (percentage >= 40) return 2; // Incorrect, but answers felt familiar
+        if (percentage >= 20) return 1; // Incorrect, vaguely remembered
+        return 0; // Complete blackout
+    }
+
+    /**
+     * Calculate the next review using the SM-2 algorithm
+     * @param {Object} srsEntry - Previous SRS state ({ interval, easeFactor, repetitions })
+     * @param {number} quality - Quality grade from 0 (blackout) to 5 (perfect)
+     * @returns {Object} New interval (days), easeFactor, repetitions and nextReview timestamp
+     */
+    calculateNextReview(srsEntry, quality) {
+        let interval = srsEntry?.interval || 0;
+        let easeFactor = srsEntry?.easeFactor || 2.5;
+        let repetitions = srsEntry?.repetitions || 0;
+
+        if (quality < 3) {
+            // Failed recall restarts the repetition sequence
+            repetitions = 0;
+            interval = 1;
+        } else {
+            if (repetitions === 0) {
+                interval = 1;
+            } else if (repetitions === 1) {
+                interval = 6;
+            } else {
+                interval = Math.round(interval * easeFactor);
+            }
+            repetitions++;
+        }
+
+        // Ease factor is adjusted after every review and never drops below 1.3
+        easeFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
+        easeFactor = Math.max(1.3, Math.round(easeFactor * 100) / 100);
+
+        return {
+            interval: interval,
+            easeFactor: easeFactor,
+            repetitions: repetitions,
+            nextReview: Date.now() + interval * 24 * 60 * 60 * 1000
+        };
+    }
+
+    /**
+     * Get SRS data
+     */
+    async getSRSData() {
+        try {
+            const result = await chrome.storage.local.get([this.srsKey]);
+            return result[this.srsKey] || {};
+        } catch (error) {
+            console.error('Error getting SRS data:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save SRS data
+     */
+    async saveSRSData(srsData) {
+        try {
+            await chrome.storage.local.set({ [this.srsKey]: srsData });
+        } catch (error) {
+            console.error('Error saving SRS data:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update SRS data for a specific video
+     */
+    async updateSRSData(videoId, data) {
+        try {
+            const srsData = await this.getSRSData();
+            srsData[videoId] = { ...srsData[videoId], ...data };
+            await this.saveSRSData(srsData);
+        } catch (error) {
+            console.error('Error updating SRS data:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get all flashcards, keyed by card ID
+     */
+    async getCards() {
+        try {
+            const result = await chrome.storage.local.get([this.cardsKey]);
+            return result[this.cardsKey] || {};
+        } catch (error) {
+            console.error('Error getting cards:', error);
+            return {};
+        }
+    }
+
+    /**
+     * Save all flashcards
+     */
+    async saveCards(cards) {
+        try {
+            await chrome.storage.local.set({ [this.cardsKey]: cards });
+        } catch (error) {
+            console.error('Error saving cards:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update the flashcards generated for a video.
+     * Existing cards keep their review schedule; new cards are due immediately.
+     * @param {string} videoId - YouTube video ID
+     * @param {Array} studyCards - Cards with id, type ('question' or 'term') and content
+     */
+    async saveStudyCards(videoId, studyCards) {
+        try {
+            const cards = await this.getCards();
+            const now = Date.now();
+
+            studyCards.forEach(card => {
+                const existing = cards[card.id];
+                cards[card.id] = existing ? { ...existing, ...card, videoId: videoId } : {
+                    ...card,
+                    videoId: videoId,
+                    createdAt: now,
+                    interval: 0,
+                    easeFactor: 2.5,
+                    repetitions: 0,
+                    nextReview: now,
+                    lastReviewed: null
+                };
+            });
+
+            await this.saveCards(cards);
+        } catch (error) {
+            console.error('Error saving study cards:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get cards due for review across all videos in the library
+     * @param {number} limit - Maximum number of cards to return
+     * @returns {Promise<Array>} Due cards, most overdue first, with their video title
+     */
+    async getDueCards(limit) {
+        try {
+            const [cards, library] = await Promise.all([this.getCards(), this.getVideoLibrary()]);
+            const videosById = new Map(library.map(video => [video.videoId, video]));
+            const now = Date.now();
+
+            const dueCards = Object.values(cards)
+                .filter(card => videosById.has(card.videoId) && card.nextReview <= now)
+                .sort((a, b) => a.nextReview - b.nextReview)
+                .map(card => ({ ...card, videoTitle: videosById.get(card.videoId).title }));
+
+            return limit ? dueCards.slice(0, limit) : dueCards;
+        } catch (error) {
+            console.error('Error getting due cards:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record a review of a single card and reschedule it with SM-2
+     * @param {string} cardId - Card ID
+     * @param {number} quality - Quality grade from 0 to 5
+     */
+    async reviewCard(cardId, quality) {
+        try {
+            const cards = await this.getCards();
+            const card = cards[cardId];
+
+            if (!card) {
+                throw new Error('Card not found');
+            }
+
+            cards[cardId] = {
+                ...card,
+                ...this.calculateNextReview(card, quality),
+                lastQuality: quality,
+                lastReviewed: Date.now()
+            };
+            await this.saveCards(cards);
+
+            return cards[cardId];
+        } catch (error) {
+            console.error('Error reviewing card:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove all cards belonging to a video
+     */
+    async removeVideoCards(videoId) {
+        try {
+            const cards = await this.getCards();
+            Object.keys(cards).forEach(cardId => {
+                if (cards[cardId].videoId === videoId) {
+                    delete cards[cardId];
+                }
+            });
+            await this.saveCards(cards);
+        } catch (error) {
+            console.error('Error removing video cards:', error);
+        }
+    }
+
+    /**
+     * Export the library and all study data as a versioned backup.
+     * Transcripts are left out because they can be downloaded again, and settings because
+     * they may contain an API key.
+     * @returns {Promise<Object>} { format, version, exportedAt, data }
+     */
+    async exportBackup() {
+        try {
+            return {
+                format: this.backupFormat,
+                version: this.backupVersion,
+                exportedAt: new Date().toISOString(),
+                data: {
+                    library: await this.getVideoLibrary(),
+                    srs: await this.getSRSData(),
+                    cards: await this.getCards(),
+                    studyModules: await this.getStudyModules(),
+                    highlights: await this.getAllHighlights(),
+                    notes: await this.getAllNotes(),
+                    chats: await this.getAllChats(),
+                    courses: await this.getCourses()
+                }
+            };
+        } catch (error) {
+            console.error('Error exporting backup:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check that an object is a backup this version of Echo can import
+     * @returns {Array} Error messages; empty if the backup is valid
+     */
+    validateBackup(backup) {
+        const errors = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const isString = value => typeof value === 'string' && value.length > 0;
+
+        if (!isObject(backup) || backup.format !== this.backupFormat) {
+            return ['This is not an Echo backup file'];
+        }
+        if (!Number.isInteger(backup.version) || backup.version < 1) {
+            return ['The backup has no valid version'];
+        }
+        if (backup.version > this.backupVersion) {
+            return ['The backup was made by a newer version of Echo'];
+        }
+        if (!isObject(backup.data) || !Array.isArray(backup.data.library)) {
+            return ['The backup has no library'];
+        }
+
+        const data = backup.data;
+        data.library.forEach((video, i) => {
+            if (!isObject(video) || !isString(video.videoId) || typeof video.title !== 'string') {
+                errors.push(`Library entry ${i + 1} has no video ID or title`);
+            }
+        });
+
+        ['srs', 'cards', 'studyModules', 'highlights', 'notes', 'chats'].forEach(section => {
+            if (data[section] !== undefined && !isObject(data[section])) {
+                errors.push(`"${section}" must be an object`);
+            }
+        });
+
+        Object.entries(isObject(data.studyModules) ? data.studyModules : {}).forEach(([videoId, entry]) => {
+            if (!isObject(entry) || !isObject(entry.studyModule) ||
+                !Array.isArray(entry.studyModule.quiz?.questions)) {
+                errors.push(`The study module of ${videoId} has no quiz`);
+            }
+        });
+
+        Object.entries(isObject(data.srs) ? data.srs : {}).forEach(([videoId, entry]) => {
+            if (!isObject(entry) || !['nextReview', 'interval', 'easeFactor'].every(field => Number.isFinite(entry[field]))) {
+                errors.push(`The review schedule of ${videoId} is invalid`);
+            }
+        });
+
+        Object.entries(isObject(data.cards) ? data.cards : {}).forEach(([cardId, card]) => {
+            if (!isObject(card) || card.id !== cardId || !isString(card.videoId)) {
+                errors.push(`Card ${cardId} is invalid`);
+            }
+        });
+
+        ['highlights', 'notes', 'chats'].forEach(section => {
+            Object.entries(isObject(data[section]) ? data[section] : {}).forEach(([videoId, items]) => {
+                if (!Array.isArray(items) || !items.every(item => isObject(item) && isString(item.id))) {
+                    errors.push(`The ${section} of ${videoId} must be a list of items with IDs`);
+                }
+            });
+        });
+
+        if (data.courses !== undefined && (!Array.isArray(data.courses) || !data.courses.every(course =>
+            isObject(course) && isString(course.id) && isString(course.name) && Array.isArray(course.videoIds)
+        ))) {
+            errors.push('"courses" must be a list of courses with an ID, name and videos');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Import a backup, merging it with the current data by video ID.
+     * When both have the same item (a video, study module, card, note...), the conflict strategy decides:
+     * 'newest' keeps the most recently changed one, 'local' keeps the current one, 'backup' uses the backup's.
+     * @param {Object} backup - Backup made by exportBackup
+     * @param {string} strategy - 'newest', 'local' or 'backup'
+     * @returns {Promise<Object>} Per section, the number of items { added, updated, kept }
+     */
+    async importBackup(backup, strategy = 'newest') {
+        try {
+            const errors = this.validateBackup(backup);
+            if (errors.length > 0) {
+                throw new Error(`Invalid backup: ${errors.slice(0, 3).join('; ')}`);
+            }
+            if (!['newest', 'local', 'backup'].includes(strategy)) {
+                throw new Error(`Unknown conflict strategy: ${strategy}`);
+            }
+
+            const data = backup.data;
+            const summary = {};
+            const counts = section => summary[section] = { added: 0, updated: 0, kept: 0 };
+
+            // Library, keyed by video ID
+            const videoCounts = counts('videos');
+            const libraryById = new Map((await this.getVideoLibrary()).map(video => [video.videoId, video]));
+            const newVideoIds = data.library.map(video => video.videoId).filter(videoId => !libraryById.has(videoId));
+            data.library.forEach(video => {
+                libraryById.set(video.videoId,
+                    this.mergeBackupRecord(libraryById.get(video.videoId), video, strategy, videoCounts));
+            });
+            const library = Array.from(libraryById.values());
+
+            // Records keyed by video ID or card ID
+            const mergeMap = (local, incoming, section) => {
+                const sectionCounts = counts(section);
+                Object.entries(incoming || {}).forEach(([key, record]) => {
+                    local[key] = this.mergeBackupRecord(local[key], record, strategy, sectionCounts);
+                });
+                return local;
+            };
+            const srsData = mergeMap(await this.getSRSData(), data.srs, 'srs');
+            const cards = mergeMap(await this.getCards(), data.cards, 'cards');
+            // Study modules without questions cannot be studied; they are generated again instead
+            const importedModules = Object.fromEntries(Object.entries(data.studyModules || {})
+                .filter(([, entry]) => entry.studyModule.quiz.questions.length > 0));
+            const studyModules = mergeMap(await this.getStudyModules(), importedModules, 'studyModules');
+
+            // Lists of items with IDs, per video
+            const mergeLists = (local, incoming, section) => {
+                const sectionCounts = counts(section);
+                Object.entries(incoming || {}).forEach(([videoId, items]) => {
+                    const itemsById = new Map((local[videoId] || []).map(item => [item.id, item]));
+                    items.forEach(item => {
+                        itemsById.set(item.id,
+                            this.mergeBackupRecord(itemsById.get(item.id), item, strategy, sectionCounts));
+                    });
+                    local[videoId] = Array.from(itemsById.values())
+                        .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+                });
+                return local;
+            };
+            const highlights = mergeLists(await this.getAllHighlights(), data.highlights, 'highlights');
+            const notes = mergeLists(await this.getAllNotes(), data.notes, 'notes');
+            const chats = mergeLists(await this.getAllChats(), data.chats, 'chats');
+
+            // Courses, keyed by course ID; only videos in the library are kept
+            const courseCounts = counts('courses');
+            const coursesById = new Map((await this.getCourses()).map(course => [course.id, course]));
+            (data.courses || []).forEach(course => {
+                coursesById.set(course.id,
+                    this.mergeBackupRecord(coursesById.get(course.id), course, strategy, courseCounts));
+            });
+            const courses = Array.from(coursesById.values()).map(course => ({
+                ...course,
+                videoIds: course.videoIds.filter(videoId => libraryById.has(videoId))
+            }));
+
+            await this.saveVideoLibrary(library);
+            await this.saveSRSData(srsData);
+            await this.saveCards(cards);
+            await chrome.storage.local.set({ [this.studyModulesKey]: studyModules });
+            await this.saveAllHighlights(highlights);
+            await this.saveAllNotes(notes);
+            await this.saveAllChats(chats);
+            await this.saveCourses(courses);
+
+            // Restore the review reminders of imported schedules
+            const now = Date.now();
+            for (const [videoId, entry] of Object.entries(srsData)) {
+                if (libraryById.has(videoId) && entry.nextReview > now) {
+                    await this.createReviewAlarm(videoId, entry.nextReview);
+                }
+            }
+
+            // Rebuilt with the imported data on the next search
+            this.searchIndexPromise = null;
+
+            // Backups have no transcripts, so download those of new videos in the background
+            this.cacheTranscripts(newVideoIds);
+
+            console.log('Backup imported:', summary);
+            return summary;
+        } catch (error) {
+            console.error('Error importing backup:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Choose between the current and the imported version of a record
+     * @param {Object|undefined} local - Current record, if there is one
+     * @param {Object} incoming - Record from the backup
+     * @param {string} strategy - 'newest', 'local' or 'backup'
+     * @param {Object} counts - { added, updated, kept } counters to update
+     * @returns {Object} The record to keep
+     */
+    mergeBackupRecord(local, incoming, strategy, counts) {
+        if (local === undefined) {
+            counts.added++;
+            return incoming;
+        }
+
+        const useIncoming = strategy === 'backup' ||
+            (strategy === 'newest' && this.getRecordTime(incoming) > this.getRecordTime(local));
+
+        if (useIncoming) {
+            counts.updated++;
+            return incoming;
+        }
+
+        counts.kept++;
+        return local;
+    }
+
+    /**
+     * When a stored record last changed, from whichever timestamp fields it has
+     */
+    getRecordTime(record) {
+        return Math.max(0, ...['updatedAt', 'lastReviewed', 'lastStudied', 'generatedAt', 'createdAt', 'addedAt']
+            .map(field => Number(record[field]) || 0));
+    }
+
+    /**
+     * Get user settings, filled in with defaults
+     */
+    async getSettings() {
+        try {
+            const result = await chrome.storage.local.get([this.settingsKey]);
+            return { ...this.defaultSettings, ...result[this.settingsKey] };
+        } catch (error) {
+            console.error('Error getting settings:', error);
+            return { ...this.defaultSettings };
+        }
+    }
+
+    /**
+     * Update user settings
+     * @returns {Promise<Object>} The complete settings after the update
+     */
+    async saveSettings(updateData) {
+        try {
+            const settings = { ...(await this.getSettings()), ...updateData };
+            await chrome.storage.local.set({ [this.settingsKey]: settings });
+            return settings;
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Setup alarm listener for scheduled reviews
+     */
+    setupAlarmListener() {
+        chrome.alarms.onAlarm.addListener(async (alarm) => {
+            if (alarm.name.startsWith('echo_review_')) {
+                await this.handleReviewAlarm(alarm);
+            }
+        });
+    }
+
+    /**
+     * Handle review alarm
+     */
+    async handleReviewAlarm(alarm) {
+        try {
+            const videoId = alarm.name.replace('echo_review_', '');
+            const library = await this.getVideoLibrary();
+            const video = library.find(v => v.videoId === videoId);
+            
+            if (video) {
                 // Create notification
-                await chrome.notifications.create({
+                await chrome.notifications.create(alarm.name, {
                     type: 'basic',
                     iconUrl: 'assets/icons/icon48.png',
                     title: 'Echo - Time to Review!',
@@ -374,6 +2167,34 @@ class EchoBackgroundService {
         return 'video_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
+    /**
+     * Generate unique course ID
+     */
+    generateCourseId() {
+        return 'course_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Generate unique highlight ID
+     */
+    generateHighlightId() {
+        return 'highlight_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Generate unique note ID
+     */
+    generateNoteId() {
+        return 'note_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
+    /**
+     * Generate unique chat message ID
+     */
+    generateChatMessageId() {
+        return 'chat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+
     /**
      * Handle notification clicks
      */
@@ -386,13 +2207,12 @@ class EchoBackgroundService {
         chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
             if (buttonIndex === 0) {
                 // "Study Now" button clicked
-                chrome.tabs.create({ url: 'popup.html' });
+                chrome.tabs.create({ url: chrome.runtime.getURL('src/html/popup.html') });
             } else if (buttonIndex === 1) {
                 // "Remind Later" button clicked
                 // Reschedule for 1 hour later
                 const videoId = notificationId.replace('echo_review_', '');
-                const laterDate = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
-                this.scheduleVideoReview(videoId, laterDate);
+                this.postponeVideoReview(videoId, 60 * 60 * 1000); // 1 hour
             }
             chrome.notifications.clear(notificationId);
         });
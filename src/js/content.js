@@ -1,14 +1,36 @@
 /**
  * Content Script for Echo Chrome Extension
- * Handles interaction with YouTube watch pages
+ * Handles interaction with YouTube watch and playlist pages, including in-app (SPA) navigation between videos
  */
 
 class EchoContentScript {
     constructor() {
         this.videoId = this.extractVideoId();
         this.addToLibraryButton = null;
+        this.injectRetryTimer = null;
+        this.isInLibrary = false;
         this.transcriptData = null;
         this.highlights = [];
+        this.highlightToolbar = null;
+        this.highlightObserver = null;
+        this.transcriptPanel = null;
+        this.transcriptPanelObserver = null;
+        this.panelsObserver = null;
+        this.panelRetryTimer = null;
+        this.notes = [];
+        this.notesButton = null;
+        this.notesPanel = null;
+        this.noteTimeListener = null;
+        this.noteStartTime = null;
+        this.playlistId = this.extractPlaylistId();
+        this.addPlaylistButton = null;
+        this.playlistRetryTimer = null;
+        this.highlightColors = {
+            yellow: '#ffd54f',
+            green: '#81c784',
+            blue: '#64b5f6',
+            pink: '#f06292'
+        };
         
         this.init();
     }
@@ -29,9 +51,114 @@ class EchoContentScript {
      * Setup the content script after page load
      */
     setup() {
-        this.injectAddToLibraryButton();
         this.setupMessageListener();
         this.setupTranscriptHighlighting();
+        this.setupNavigationListener();
+
+        if (this.videoId) {
+            this.setupVideoPage();
+        }
+
+        if (this.playlistId) {
+            this.injectAddPlaylistButton();
+        }
+    }
+
+    /**
+     * Listen for YouTube's in-app navigation, which changes videos without reloading the page
+     */
+    setupNavigationListener() {
+        document.addEventListener('yt-navigate-finish', () => this.handleNavigation());
+        window.addEventListener('popstate', () => this.handleNavigation());
+    }
+
+    /**
+     * Handle a URL change: reset per-video state and set up the new video
+     */
+    handleNavigation() {
+        const newPlaylistId = this.extractPlaylistId();
+        if (newPlaylistId !== this.playlistId || !this.addPlaylistButton?.isConnected) {
+            this.resetPlaylistState();
+            this.playlistId = newPlaylistId;
+
+            if (this.playlistId) {
+                this.injectAddPlaylistButton();
+            }
+        }
+
+        const newVideoId = this.extractVideoId();
+        if (newVideoId === this.videoId) return;
+
+        this.resetVideoState();
+        this.videoId = newVideoId;
+
+        if (this.videoId) {
+            this.setupVideoPage();
+        }
+    }
+
+    /**
+     * Set up the Echo UI and data for the current video
+     */
+    async setupVideoPage() {
+        const videoId = this.videoId;
+
+        this.injectAddToLibraryButton();
+
+        const [highlights, isInLibrary] = await Promise.all([
+            this.loadStoredHighlights(),
+            this.checkLibraryStatus()
+        ]);
+
+        // Ignore results if the user navigated away in the meantime
+        if (videoId !== this.videoId) return;
+
+        this.highlights = highlights;
+        this.isInLibrary = isInLibrary;
+        this.applyHighlights();
+        this.watchTranscriptPanel();
+
+        if (this.isInLibrary) {
+            this.updateButtonState('added');
+        }
+    }
+
+    /**
+     * Clear everything that belongs to the previous video
+     */
+    resetVideoState() {
+        clearTimeout(this.injectRetryTimer);
+        this.injectRetryTimer = null;
+        clearTimeout(this.panelRetryTimer);
+        this.panelRetryTimer = null;
+
+        this.closeNotesPanel();
+
+        // YouTube reuses the action menu between videos, so the old buttons must be removed
+        [this.addToLibraryButton, this.notesButton].forEach(element => {
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+
+        this.addToLibraryButton = null;
+        this.notesButton = null;
+        this.isInLibrary = false;
+        this.transcriptData = null;
+        this.highlights = [];
+        this.notes = [];
+        this.noteStartTime = null;
+
+        this.hideHighlightToolbar();
+        this.applyHighlights();
+    }
+
+    /**
+     * Check whether the current video is already in the library
+     */
+    async checkLibraryStatus() {
+        const response = await this.sendMessageToBackground({ action: 'getVideos' });
+        return response.success && response.data.some(video => video.videoId === this.videoId);
     }
 
     /**
@@ -42,21 +169,139 @@ class EchoContentScript {
         return urlParams.get('v');
     }
 
+    /**
+     * Extract the ID of a playlist that can be imported from the current URL.
+     * Auto-generated mixes (IDs starting with "RD") are not real playlists and are skipped.
+     */
+    extractPlaylistId() {
+        const isPlaylistPage = window.location.pathname === '/playlist';
+        const isWatchPage = window.location.pathname === '/watch';
+        if (!isPlaylistPage && !isWatchPage) return null;
+
+        const playlistId = new URLSearchParams(window.location.search).get('list');
+        return playlistId && !playlistId.startsWith('RD') ? playlistId : null;
+    }
+
+    /**
+     * Inject the "Add playlist to Echo" button: in the playlist header on playlist pages,
+     * and in the action menu on watch pages that play a playlist
+     */
+    injectAddPlaylistButton(attempt = 0) {
+        if (!this.playlistId) return;
+
+        const container = window.location.pathname === '/playlist' ?
+            document.querySelector('ytd-playlist-header-renderer #top-level-buttons-computed, ' +
+                'ytd-playlist-header-renderer .metadata-buttons-wrapper, ' +
+                'yt-page-header-renderer yt-flexible-actions-view-model') :
+            document.querySelector('#top-level-buttons-computed, #actions-inner');
+
+        // YouTube's layouts change often; after a while, show the button in the corner of the page
+        if (!container && attempt < 10) {
+            this.playlistRetryTimer = setTimeout(() => this.injectAddPlaylistButton(attempt + 1), 1000);
+            return;
+        }
+
+        const staleButton = document.querySelector('#echo-add-playlist-button');
+        if (staleButton && staleButton !== this.addPlaylistButton) {
+            staleButton.parentNode.removeChild(staleButton);
+        }
+
+        if (this.addPlaylistButton && this.addPlaylistButton.isConnected) {
+            return;
+        }
+
+        this.addPlaylistButton = document.createElement('button');
+        this.addPlaylistButton.id = 'echo-add-playlist-button';
+        this.addPlaylistButton.className = 'style-scope ytd-menu-renderer';
+        this.addPlaylistButton.textContent = '📚 Add playlist to Echo';
+        this.addPlaylistButton.style.cssText = `
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border: none;
+            border-radius: 18px;
+            padding: 8px 16px;
+            font-size: 14px;
+            font-weight: 500;
+            cursor: pointer;
+            margin-left: 8px;
+            ${container ? '' : 'position: fixed; bottom: 24px; right: 24px; z-index: 10000;'}
+        `;
+
+        this.addPlaylistButton.addEventListener('click', () => this.handleAddPlaylist());
+
+        (container || document.body).appendChild(this.addPlaylistButton);
+    }
+
+    /**
+     * Import the current playlist into the library as a course
+     */
+    async handleAddPlaylist() {
+        const button = this.addPlaylistButton;
+
+        try {
+            button.disabled = true;
+            button.textContent = '⏳ Importing playlist...';
+
+            const response = await this.sendMessageToBackground({
+                action: 'importPlaylist',
+                playlistId: this.playlistId
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Error importing playlist');
+            }
+
+            const { course, addedCount, totalCount } = response.data;
+            this.showNotification(
+                `Added ${addedCount} of ${totalCount} videos to Echo as the course "${course.name}"`,
+                'success'
+            );
+            button.textContent = '✅ Playlist in Echo';
+            button.style.background = '#2d5a2d';
+        } catch (error) {
+            console.error('Error importing playlist:', error);
+            this.showNotification(error.message, 'error');
+            button.textContent = '📚 Add playlist to Echo';
+            button.disabled = false;
+        }
+    }
+
+    /**
+     * Remove the playlist button of the previous page
+     */
+    resetPlaylistState() {
+        clearTimeout(this.playlistRetryTimer);
+        this.playlistRetryTimer = null;
+
+        if (this.addPlaylistButton && this.addPlaylistButton.parentNode) {
+            this.addPlaylistButton.parentNode.removeChild(this.addPlaylistButton);
+        }
+        this.addPlaylistButton = null;
+    }
+
     /**
      * Inject "Add to Echo Library" button into YouTube's action menu
      */
     injectAddToLibraryButton() {
+        if (!this.videoId) return;
+
         // Find YouTube's action menu (where Like, Share buttons are)
         const actionMenu = document.querySelector('#top-level-buttons-computed, #actions-inner');
         
         if (!actionMenu) {
             // Retry after a short delay if not found
-            setTimeout(() => this.injectAddToLibraryButton(), 1000);
+            this.injectRetryTimer = setTimeout(() => this.injectAddToLibraryButton(), 1000);
             return;
         }
 
+        // Remove a button left over from a previous page
+        const staleButton = document.querySelector('#echo-add-button');
+        if (staleButton && staleButton !== this.addToLibraryButton) {
+            staleButton.parentNode.removeChild(staleButton);
+        }
+
         // Check if button already exists
-        if (document.querySelector('#echo-add-button')) {
+        if (this.addToLibraryButton && this.addToLibraryButton.isConnected) {
             return;
         }
 
@@ -100,6 +345,306 @@ class EchoContentScript {
 
         // Insert the button
         actionMenu.appendChild(this.addToLibraryButton);
+
+        if (this.isInLibrary) {
+            this.updateButtonState('added');
+        }
+
+        this.injectNotesButton(actionMenu);
+    }
+
+    /**
+     * Inject the "Notes" button that toggles the note-taking panel
+     */
+    injectNotesButton(actionMenu) {
+        const staleButton = document.querySelector('#echo-notes-button');
+        if (staleButton && staleButton !== this.notesButton) {
+            staleButton.parentNode.removeChild(staleButton);
+        }
+
+        if (this.notesButton && this.notesButton.isConnected) {
+            return;
+        }
+
+        this.notesButton = document.createElement('button');
+        this.notesButton.id = 'echo-notes-button';
+        this.notesButton.className = 'style-scope ytd-menu-renderer';
+        this.notesButton.textContent = '📝 Notes';
+        this.notesButton.style.cssText = `
+            background: #2a2a2a;
+            color: white;
+            border: 1px solid #667eea;
+            border-radius: 18px;
+            padding: 8px 16px;
+            font-size: 14px;
+            font-weight: 500;
+            cursor: pointer;
+            margin-left: 8px;
+        `;
+
+        this.notesButton.addEventListener('click', () => this.toggleNotesPanel());
+
+        actionMenu.appendChild(this.notesButton);
+    }
+
+    /**
+     * Show or hide the note-taking panel
+     */
+    async toggleNotesPanel() {
+        if (this.notesPanel) {
+            this.closeNotesPanel();
+            return;
+        }
+
+        this.createNotesPanel();
+        this.notes = await this.loadNotes();
+        this.renderNotes();
+    }
+
+    /**
+     * Remove the notes panel and stop following the video time
+     */
+    closeNotesPanel() {
+        if (this.noteTimeListener) {
+            this.noteTimeListener.video.removeEventListener('timeupdate', this.noteTimeListener.handler);
+            this.noteTimeListener = null;
+        }
+
+        if (this.notesPanel && this.notesPanel.parentNode) {
+            this.notesPanel.parentNode.removeChild(this.notesPanel);
+        }
+        this.notesPanel = null;
+    }
+
+    /**
+     * Create the floating note-taking panel
+     */
+    createNotesPanel() {
+        this.notesPanel = document.createElement('div');
+        this.notesPanel.id = 'echo-notes-panel';
+        this.notesPanel.style.cssText = `
+            position: fixed;
+            right: 20px;
+            bottom: 20px;
+            width: 320px;
+            max-height: 60vh;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            background: #1a1a1a;
+            color: white;
+            border: 1px solid #444;
+            border-radius: 12px;
+            padding: 12px;
+            z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+            font-family: Roboto, Arial, sans-serif;
+            font-size: 13px;
+        `;
+
+        const header = document.createElement('div');
+        header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+        header.innerHTML = '<strong style="font-size: 14px;">📝 Echo Notes</strong>';
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = '✕';
+        closeButton.style.cssText = 'background: none; border: none; color: #888; cursor: pointer;';
+        closeButton.addEventListener('click', () => this.toggleNotesPanel());
+        header.appendChild(closeButton);
+
+        const noteInput = document.createElement('textarea');
+        noteInput.placeholder = 'Write a note about this moment...';
+        noteInput.rows = 3;
+        noteInput.style.cssText = `
+            background: #2a2a2a;
+            color: white;
+            border: 1px solid #444;
+            border-radius: 6px;
+            padding: 6px 8px;
+            font-size: 13px;
+            resize: vertical;
+        `;
+
+        const addButton = document.createElement('button');
+        addButton.style.cssText = `
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white;
+            border: none;
+            border-radius: 6px;
+            padding: 6px 12px;
+            font-size: 13px;
+            cursor: pointer;
+        `;
+
+        const updateAddButton = () => {
+            const time = this.noteStartTime ?? this.getCurrentTime();
+            addButton.textContent = `Add note at ${this.formatTimestamp(time)}`;
+        };
+        updateAddButton();
+
+        // The note is pinned to the moment the user started typing it
+        noteInput.addEventListener('input', () => {
+            if (!noteInput.value.trim()) {
+                this.noteStartTime = null;
+            } else if (this.noteStartTime === null) {
+                this.noteStartTime = this.getCurrentTime();
+            }
+            updateAddButton();
+        });
+
+        // Removed again in closeNotesPanel
+        const video = document.querySelector('video');
+        if (video) {
+            const handler = () => {
+                if (this.noteStartTime === null) updateAddButton();
+            };
+            video.addEventListener('timeupdate', handler);
+            this.noteTimeListener = { video: video, handler: handler };
+        }
+
+        addButton.addEventListener('click', async () => {
+            const text = noteInput.value.trim();
+            if (!text) return;
+
+            const added = await this.addNote(text, this.noteStartTime ?? this.getCurrentTime());
+            if (added) {
+                noteInput.value = '';
+                this.noteStartTime = null;
+                updateAddButton();
+            }
+        });
+
+        const notesList = document.createElement('div');
+        notesList.id = 'echo-notes-list';
+        notesList.style.cssText = 'overflow-y: auto; display: flex; flex-direction: column; gap: 6px;';
+
+        this.notesPanel.appendChild(header);
+        this.notesPanel.appendChild(noteInput);
+        this.notesPanel.appendChild(addButton);
+        this.notesPanel.appendChild(notesList);
+        document.body.appendChild(this.notesPanel);
+    }
+
+    /**
+     * Render the list of notes in the panel
+     */
+    renderNotes() {
+        const notesList = this.notesPanel ? this.notesPanel.querySelector('#echo-notes-list') : null;
+        if (!notesList) return;
+
+        notesList.innerHTML = '';
+
+        if (this.notes.length === 0) {
+            notesList.innerHTML = '<p style="color: #888; margin: 0;">No notes for this video yet.</p>';
+            return;
+        }
+
+        this.notes.forEach(note => {
+            const item = document.createElement('div');
+            item.title = 'Jump to this moment';
+            item.style.cssText = `
+                display: flex;
+                gap: 8px;
+                align-items: flex-start;
+                background: #2a2a2a;
+                border-radius: 6px;
+                padding: 6px 8px;
+                cursor: pointer;
+            `;
+
+            const time = document.createElement('span');
+            time.textContent = note.timestamp;
+            time.style.cssText = 'color: #667eea; font-weight: 500; flex-shrink: 0;';
+
+            const text = document.createElement('span');
+            text.textContent = note.text;
+            text.style.cssText = 'flex: 1; white-space: pre-wrap; word-break: break-word;';
+
+            const deleteButton = document.createElement('button');
+            deleteButton.textContent = '✕';
+            deleteButton.title = 'Delete note';
+            deleteButton.style.cssText = 'background: none; border: none; color: #888; cursor: pointer;';
+            deleteButton.addEventListener('click', (event) => {
+                event.stopPropagation();
+                this.deleteNote(note.id);
+            });
+
+            item.addEventListener('click', () => this.seekTo(note.time));
+
+            item.appendChild(time);
+            item.appendChild(text);
+            item.appendChild(deleteButton);
+            notesList.appendChild(item);
+        });
+    }
+
+    /**
+     * Load the notes for this video from extension storage
+     */
+    async loadNotes() {
+        const response = await this.sendMessageToBackground({
+            action: 'getNotes',
+            videoId: this.videoId
+        });
+        return response.success ? response.data : [];
+    }
+
+    /**
+     * Save a note at the given video time
+     * @returns {Promise<boolean>} True if the note was saved
+     */
+    async addNote(text, time) {
+        const response = await this.sendMessageToBackground({
+            action: 'addNote',
+            videoId: this.videoId,
+            data: { text: text, time: time }
+        });
+
+        if (!response.success) {
+            this.showNotification('Error saving note', 'error');
+            return false;
+        }
+
+        this.notes = await this.loadNotes();
+        this.renderNotes();
+        return true;
+    }
+
+    /**
+     * Delete a note
+     */
+    async deleteNote(noteId) {
+        const response = await this.sendMessageToBackground({
+            action: 'deleteNote',
+            videoId: this.videoId,
+            noteId: noteId
+        });
+
+        if (!response.success) {
+            this.showNotification('Error deleting note', 'error');
+            return;
+        }
+
+        this.notes = await this.loadNotes();
+        this.renderNotes();
+    }
+
+    /**
+     * Get the current playback position in whole seconds
+     */
+    getCurrentTime() {
+        const video = document.querySelector('video');
+        return video ? Math.floor(video.currentTime) : 0;
+    }
+
+    /**
+     * Seek the player to a position in seconds
+     */
+    seekTo(seconds) {
+        const video = document.querySelector('video');
+        if (video) {
+            video.currentTime = seconds;
+        }
     }
 
     /**
@@ -115,21 +660,26 @@ class EchoContentScript {
                 return;
             }
 
-            // Send message to background script
+            this.updateButtonState('loading');
+
+            // Send message to background script (this also captures the transcript)
             const response = await this.sendMessageToBackground({
                 action: 'addVideo',
                 data: videoData
             });
 
             if (response.success) {
+                this.isInLibrary = true;
                 this.showNotification('Video added to Echo Library!', 'success');
                 this.updateButtonState('added');
             } else {
                 this.showNotification('Error adding video to library', 'error');
+                this.updateButtonState('default');
             }
         } catch (error) {
             console.error('Error adding video to library:', error);
             this.showNotification('Error adding video to library', 'error');
+            this.updateButtonState('default');
         }
     }
 
@@ -139,7 +689,7 @@ class EchoContentScript {
     extractVideoData() {
         try {
             // Get video title
-            const titleElement = document.querySelector('h1.title yt-formatted-string, h1.title');
+            const titleElement = document.querySelector('ytd-watch-metadata h1 yt-formatted-string, h1.title yt-formatted-string, h1.title');
             const title = titleElement ? titleElement.textContent.trim() : 'Unknown Title';
 
             // Get channel name
@@ -190,6 +740,15 @@ class EchoContentScript {
                 `;
                 this.addToLibraryButton.disabled = true;
                 break;
+            case 'default':
+                this.addToLibraryButton.innerHTML = `
+                    <div class="style-scope ytd-menu-renderer">
+                        <span class="style-scope ytd-menu-renderer">📚 Add to Echo Library</span>
+                    </div>
+                `;
+                this.addToLibraryButton.style.background = 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)';
+                this.addToLibraryButton.disabled = false;
+                break;
         }
     }
 
@@ -207,14 +766,25 @@ class EchoContentScript {
                     });
                     return true; // Keep message channel open for async response
 
+                case 'seekTo':
+                    this.seekTo(request.time);
+                    sendResponse({ success: true });
+                    break;
+
                 case 'getHighlights':
                     sendResponse({ success: true, data: this.highlights });
                     break;
 
                 case 'clearHighlights':
-                    this.highlights = [];
-                    sendResponse({ success: true });
-                    break;
+                    this.sendMessageToBackground({
+                        action: 'clearHighlights',
+                        videoId: this.videoId
+                    }).then(response => {
+                        this.highlights = [];
+                        this.applyHighlights();
+                        sendResponse(response);
+                    });
+                    return true; // Keep message channel open for async response
 
                 default:
                     sendResponse({ success: false, error: 'Unknown action' });
@@ -239,7 +809,8 @@ class EchoContentScript {
             return {
                 transcript: this.transcriptData,
                 highlights: this.highlights,
-                videoId: this.videoId
+                videoId: this.videoId,
+                language: document.documentElement.lang || null
             };
         } catch (error) {
             console.error('Error getting transcript:', error);
@@ -333,22 +904,401 @@ class EchoContentScript {
         return 0;
     }
 
+    /**
+     * Format seconds as a timestamp (m:ss or h:mm:ss)
+     */
+    formatTimestamp(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+
+        return hours > 0 ?
+            `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` :
+            `${minutes}:${seconds}`;
+    }
+
     /**
      * Setup transcript highlighting functionality
      */
-    setupTranscriptHighlighting() {
-        // This would be implemented to add highlight functionality
-        // For now, we'll store highlights when they're manually added
-        this.highlights = this.loadStoredHighlights();
+    async setupTranscriptHighlighting() {
+        await this.migrateLegacyHighlights();
+
+        // Keep highlights in sync when they are edited from the popup
+        chrome.storage.onChanged.addListener(async (changes, areaName) => {
+            if (areaName === 'local' && changes.echo_highlights && this.videoId) {
+                this.highlights = await this.loadStoredHighlights();
+                this.applyHighlights();
+            }
+        });
+
+        // Offer the highlight toolbar when text is selected in the transcript panel
+        document.addEventListener('mouseup', (event) => {
+            if (this.highlightToolbar && this.highlightToolbar.contains(event.target)) return;
+
+            // Let the browser finish updating the selection first
+            setTimeout(() => this.handleTranscriptSelection(), 0);
+        });
+
+        document.addEventListener('mousedown', (event) => {
+            if (this.highlightToolbar && !this.highlightToolbar.contains(event.target)) {
+                this.hideHighlightToolbar();
+            }
+        });
+
+        // Re-apply highlights whenever YouTube (re)renders the transcript panel. Only the open
+        // transcript panel is observed; the rest of the page changes constantly during playback.
+        let pendingApply = null;
+        this.highlightObserver = new MutationObserver(() => {
+            if (pendingApply) return;
+            pendingApply = setTimeout(() => {
+                pendingApply = null;
+                this.applyHighlights();
+            }, 300);
+        });
+
+        // YouTube opens and closes the panel by changing its visibility attribute
+        this.transcriptPanelObserver = new MutationObserver(() => this.updateHighlightObserver());
+        this.panelsObserver = new MutationObserver(() => this.attachTranscriptPanel());
+
+        this.watchTranscriptPanel();
     }
 
     /**
-     * Load stored highlights from localStorage
+     * Find the container of the side panels of the watch page and follow the transcript panel,
+     * which YouTube only creates when it is first opened
      */
-    loadStoredHighlights() {
+    watchTranscriptPanel(attempt = 0) {
+        if (!this.panelsObserver || !this.videoId) return;
+
+        clearTimeout(this.panelRetryTimer);
+        const panels = document.querySelector('ytd-watch-flexy #panels');
+
+        if (!panels) {
+            if (attempt < 10) {
+                this.panelRetryTimer = setTimeout(() => this.watchTranscriptPanel(attempt + 1), 1000);
+            }
+            return;
+        }
+
+        this.panelsObserver.disconnect();
+        this.panelsObserver.observe(panels, { childList: true });
+        this.attachTranscriptPanel();
+    }
+
+    /**
+     * Watch the visibility of the transcript panel, if YouTube has created it
+     */
+    attachTranscriptPanel() {
+        const panel = document.querySelector(
+            'ytd-engagement-panel-section-list-renderer[target-id="engagement-panel-searchable-transcript"]'
+        );
+        if (panel === this.transcriptPanel) return;
+
+        this.transcriptPanel = panel;
+        this.transcriptPanelObserver.disconnect();
+        if (panel) {
+            this.transcriptPanelObserver.observe(panel, { attributes: true, attributeFilter: ['visibility'] });
+        }
+
+        this.updateHighlightObserver();
+    }
+
+    /**
+     * Observe the transcript panel while it is open, and stop when it closes
+     */
+    updateHighlightObserver() {
+        this.highlightObserver.disconnect();
+
+        const panel = this.transcriptPanel;
+        if (panel && panel.isConnected && panel.getAttribute('visibility') === 'ENGAGEMENT_PANEL_VISIBILITY_EXPANDED') {
+            this.highlightObserver.observe(panel, { childList: true, subtree: true });
+            this.applyHighlights();
+        }
+    }
+
+    /**
+     * Show the highlight toolbar if the current selection is inside the transcript panel
+     */
+    handleTranscriptSelection() {
+        const selection = window.getSelection();
+        const text = this.cleanSelectionText(selection ? selection.toString() : '');
+
+        if (!text || selection.rangeCount === 0) {
+            return;
+        }
+
+        const range = selection.getRangeAt(0);
+        const container = range.commonAncestorContainer.nodeType === Node.ELEMENT_NODE ?
+            range.commonAncestorContainer : range.commonAncestorContainer.parentElement;
+
+        if (!container || !container.closest('ytd-transcript-renderer, ytd-transcript-segment-list-renderer, #segments-container')) {
+            return;
+        }
+
+        const startElement = range.startContainer.nodeType === Node.ELEMENT_NODE ?
+            range.startContainer : range.startContainer.parentElement;
+        const segment = startElement.closest('ytd-transcript-segment-renderer');
+        const timeElement = segment ? segment.querySelector('.segment-timestamp') : null;
+        const timestamp = timeElement ? timeElement.textContent.trim() : null;
+
+        this.showHighlightToolbar(range.getBoundingClientRect(), {
+            text: text,
+            timestamp: timestamp,
+            startTime: timestamp ? this.parseTimestamp(timestamp) : null
+        });
+    }
+
+    /**
+     * Remove timestamps and extra whitespace picked up when selecting across transcript segments
+     */
+    cleanSelectionText(text) {
+        return text
+            .split('\n')
+            .filter(line => !/^\s*\d{1,2}(:\d{2}){1,2}\s*$/.test(line))
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Show the floating toolbar used to create a highlight
+     */
+    showHighlightToolbar(rect, selectionData) {
+        this.hideHighlightToolbar();
+
+        const existing = this.findHighlightForSelection(selectionData);
+
+        this.highlightToolbar = document.createElement('div');
+        this.highlightToolbar.id = 'echo-highlight-toolbar';
+        this.highlightToolbar.style.cssText = `
+            position: fixed;
+            top: ${Math.max(rect.top - 84, 8)}px;
+            left: ${Math.max(rect.left, 8)}px;
+            background: #2a2a2a;
+            border: 1px solid #444;
+            border-radius: 8px;
+            padding: 8px;
+            z-index: 10000;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+            display: flex;
+            flex-direction: column;
+            gap: 6px;
+            font-family: Roboto, Arial, sans-serif;
+        `;
+
+        const swatches = document.createElement('div');
+        swatches.style.cssText = 'display: flex; gap: 6px; align-items: center;';
+
+        Object.entries(this.highlightColors).forEach(([name, color]) => {
+            const swatch = document.createElement('button');
+            swatch.title = `Highlight ${name}`;
+            swatch.style.cssText = `
+                width: 22px;
+                height: 22px;
+                border-radius: 50%;
+                border: 2px solid #1a1a1a;
+                background: ${color};
+                cursor: pointer;
+            `;
+            swatch.addEventListener('click', () => {
+                this.addHighlight({ ...selectionData, color: name, note: noteInput.value.trim() });
+            });
+            swatches.appendChild(swatch);
+        });
+
+        if (existing) {
+            const removeButton = document.createElement('button');
+            removeButton.textContent = '✕ Remove';
+            removeButton.style.cssText = `
+                background: none;
+                border: none;
+                color: #f06292;
+                font-size: 12px;
+                cursor: pointer;
+            `;
+            removeButton.addEventListener('click', () => this.removeHighlight(existing.id));
+            swatches.appendChild(removeButton);
+        }
+
+        const noteInput = document.createElement('input');
+        noteInput.type = 'text';
+        noteInput.placeholder = 'Add a note (optional)';
+        noteInput.value = existing ? existing.note || '' : '';
+        noteInput.style.cssText = `
+            background: #1a1a1a;
+            color: white;
+            border: 1px solid #444;
+            border-radius: 4px;
+            padding: 4px 8px;
+            font-size: 12px;
+        `;
+
+        this.highlightToolbar.appendChild(swatches);
+        this.highlightToolbar.appendChild(noteInput);
+        document.body.appendChild(this.highlightToolbar);
+    }
+
+    /**
+     * Hide the highlight toolbar
+     */
+    hideHighlightToolbar() {
+        if (this.highlightToolbar && this.highlightToolbar.parentNode) {
+            this.highlightToolbar.parentNode.removeChild(this.highlightToolbar);
+        }
+        this.highlightToolbar = null;
+    }
+
+    /**
+     * Find the stored highlight of exactly the selected text, starting in the same segment
+     */
+    findHighlightForSelection(selectionData) {
+        return this.highlights.find(highlight =>
+            highlight.text === selectionData.text &&
+            (typeof highlight.startTime !== 'number' || typeof selectionData.startTime !== 'number' ||
+                highlight.startTime === selectionData.startTime)
+        ) || null;
+    }
+
+    /**
+     * Find the transcript segments each highlight covers: the segment it starts in (by its start
+     * time, or for highlights without one the first segment containing its text) and the segments
+     * after it that the rest of the highlighted text runs into
+     * @param {Array} segments - { text, time } of each transcript segment, in order
+     * @returns {Map} Segment index -> highlight
+     */
+    findHighlightedSegments(segments) {
+        const highlightedSegments = new Map();
+
+        // Length of the start of the highlighted text that a segment contains or ends with
+        const coveredLength = (segmentText, text) => {
+            if (segmentText.includes(text)) return text.length;
+            for (let length = Math.min(segmentText.length, text.length); length > 0; length--) {
+                if (segmentText.endsWith(text.slice(0, length))) return length;
+            }
+            return 0;
+        };
+
+        this.highlights.forEach(highlight => {
+            let index = typeof highlight.startTime === 'number' ?
+                segments.findIndex(segment => segment.time === highlight.startTime) :
+                -1;
+            if (index === -1) {
+                index = segments.findIndex(segment =>
+                    segment.text.includes(highlight.text) || highlight.text.startsWith(segment.text)
+                );
+            }
+            if (index === -1) return;
+
+            let rest = highlight.text;
+            for (let i = index; i < segments.length && rest; i++) {
+                const text = segments[i].text;
+                if (i > index && !rest.startsWith(text) && !text.startsWith(rest)) break;
+
+                highlightedSegments.set(i, highlight);
+                rest = rest.slice(coveredLength(text, rest)).trim();
+            }
+        });
+
+        return highlightedSegments;
+    }
+
+    /**
+     * Add (or recolor) a highlight
+     */
+    async addHighlight(highlightData) {
+        const existing = this.findHighlightForSelection(highlightData);
+
+        const response = existing ?
+            await this.sendMessageToBackground({
+                action: 'updateHighlight',
+                videoId: this.videoId,
+                highlightId: existing.id,
+                data: { color: highlightData.color, note: highlightData.note }
+            }) :
+            await this.sendMessageToBackground({
+                action: 'addHighlight',
+                videoId: this.videoId,
+                data: highlightData
+            });
+
+        this.hideHighlightToolbar();
+        window.getSelection().removeAllRanges();
+
+        if (!response.success) {
+            this.showNotification('Error saving highlight', 'error');
+            return;
+        }
+
+        this.highlights = await this.loadStoredHighlights();
+        this.applyHighlights();
+        this.showNotification('Highlight saved', 'success');
+    }
+
+    /**
+     * Remove a highlight
+     */
+    async removeHighlight(highlightId) {
+        const response = await this.sendMessageToBackground({
+            action: 'deleteHighlight',
+            videoId: this.videoId,
+            highlightId: highlightId
+        });
+
+        this.hideHighlightToolbar();
+        window.getSelection().removeAllRanges();
+
+        if (!response.success) {
+            this.showNotification('Error removing highlight', 'error');
+            return;
+        }
+
+        this.highlights = await this.loadStoredHighlights();
+        this.applyHighlights();
+    }
+
+    /**
+     * Mark the transcript segments covered by highlights
+     */
+    applyHighlights() {
+        const segments = Array.from(document.querySelectorAll('ytd-transcript-segment-renderer')).map(segment => {
+            const textElement = segment.querySelector('.segment-text') || segment;
+            const timeElement = segment.querySelector('.segment-timestamp');
+            return {
+                textElement: textElement,
+                text: textElement.textContent.replace(/\s+/g, ' ').trim(),
+                time: timeElement ? this.parseTimestamp(timeElement.textContent.trim()) : null
+            };
+        }).filter(segment => segment.text);
+        const highlightedSegments = this.findHighlightedSegments(segments);
+
+        segments.forEach(({ textElement }, i) => {
+            const highlight = highlightedSegments.get(i);
+
+            if (highlight) {
+                const color = this.highlightColors[highlight.color] || this.highlightColors.yellow;
+                textElement.style.background = `${color}55`;
+                textElement.style.borderRadius = '4px';
+                textElement.title = highlight.note || '';
+                textElement.dataset.echoHighlight = highlight.id;
+            } else if (textElement.dataset.echoHighlight) {
+                textElement.style.background = '';
+                textElement.style.borderRadius = '';
+                textElement.title = '';
+                delete textElement.dataset.echoHighlight;
+            }
+        });
+    }
+
+    /**
+     * Load the highlights for this video from extension storage
+     */
+    async loadStoredHighlights() {
         try {
-            const stored = localStorage.getItem(`echo-highlights-${this.videoId}`);
-            return stored ? JSON.parse(stored) : [];
+            const response = await this.sendMessageToBackground({
+                action: 'getHighlights',
+                videoId: this.videoId
+            });
+            return response.success ? response.data : [];
         } catch (error) {
             console.error('Error loading highlights:', error);
             return [];
@@ -356,13 +1306,28 @@ class EchoContentScript {
     }
 
     /**
-     * Save highlights to localStorage
+     * Move highlights saved by older versions in YouTube's localStorage into extension storage
      */
-    saveHighlights() {
+    async migrateLegacyHighlights() {
+        const legacyPrefix = 'echo-highlights-';
+
         try {
-            localStorage.setItem(`echo-highlights-${this.videoId}`, JSON.stringify(this.highlights));
+            const legacyKeys = Object.keys(localStorage).filter(key => key.startsWith(legacyPrefix));
+
+            for (const key of legacyKeys) {
+                const legacyHighlights = JSON.parse(localStorage.getItem(key) || '[]');
+                const response = await this.sendMessageToBackground({
+                    action: 'importHighlights',
+                    videoId: key.slice(legacyPrefix.length),
+                    highlights: legacyHighlights
+                });
+
+                if (response.success) {
+                    localStorage.removeItem(key);
+                }
+            }
         } catch (error) {
-            console.error('Error saving highlights:', error);
+            console.error('Error migrating highlights:', error);
         }
     }
 
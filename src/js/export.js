@@ -0,0 +1,235 @@
+/**
+ * Study Notes Export for Echo Chrome Extension
+ * Renders the study materials of a video (summary, key terms, highlights, notes and quiz with
+ * an answer key) as a Markdown document or as HTML for the printable page.
+ * Uses the helpers in utils.js, which must be loaded first.
+ */
+
+/**
+ * Create a Markdown document of the study notes of a video
+ * @param {Object} data - { video, studyModule, highlights, notes } as returned by the
+ *     getStudyNotes message; video is the library entry
+ * @returns {string} Markdown text
+ */
+function createStudyNotesMarkdown(data) {
+    const { video, studyModule, highlights, notes } = data;
+    const link = seconds => `[${formatTime(seconds)}](${getVideoUrl(video.videoId, seconds)})`;
+    const lines = [
+        `# ${escapeMarkdown(video.title)}`,
+        '',
+        `${escapeMarkdown(video.channelName || '')} · ${getVideoUrl(video.videoId)}`,
+        ''
+    ];
+
+    if (studyModule) {
+        lines.push('## Summary', '', escapeMarkdown(studyModule.summary), '');
+
+        if ((studyModule.chapters || []).length > 0) {
+            lines.push('### Chapters', '');
+            studyModule.chapters.forEach(chapter => {
+                lines.push(`- ${link(chapter.startTime)} **${escapeMarkdown(chapter.title)}**: ${escapeMarkdown(chapter.summary)}`);
+            });
+            lines.push('');
+        }
+
+        if ((studyModule.keyTerms || []).length > 0) {
+            lines.push('## Key Terms', '', ...studyModule.keyTerms.map(term => `- ${escapeMarkdown(term)}`), '');
+        }
+    }
+
+    if (highlights.length > 0) {
+        lines.push('## Highlights', '');
+        highlights.forEach(highlight => {
+            const time = typeof highlight.startTime === 'number' ? `${link(highlight.startTime)} ` : '';
+            const note = highlight.note ? ` — *${escapeMarkdown(highlight.note)}*` : '';
+            lines.push(`- ${time}${escapeMarkdown(highlight.text)}${note}`);
+        });
+        lines.push('');
+    }
+
+    if (notes.length > 0) {
+        lines.push('## My Notes', '');
+        notes.forEach(note => lines.push(`- ${link(note.time)} ${escapeMarkdown(note.text)}`));
+        lines.push('');
+    }
+
+    const questions = (studyModule && studyModule.quiz && studyModule.quiz.questions) || [];
+    if (questions.length > 0) {
+        lines.push('## Quiz', '');
+        questions.forEach((question, i) => {
+            const prompt = formatNotesQuestion(question);
+            lines.push(`${i + 1}. ${escapeMarkdown(prompt.text)}`);
+            prompt.choices.forEach(choice => lines.push(`    - ${escapeMarkdown(choice)}`));
+        });
+        lines.push('', '## Answer Key', '');
+        questions.forEach((question, i) => {
+            const source = question.sourceTimestamp ? ` (${link(question.sourceTimestamp.start)})` : '';
+            lines.push(`${i + 1}. **${escapeMarkdown(formatNotesAnswer(question))}**${source}`);
+            if (question.explanation) {
+                lines.push(`    ${escapeMarkdown(question.explanation)}`);
+            }
+        });
+        lines.push('');
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Create the HTML body of the printable study notes of a video. The quiz and the answer key
+ * are separate sections, so the answer key starts on a new page when printed.
+ * @param {Object} data - { video, studyModule, highlights, notes }
+ * @returns {string} HTML
+ */
+function createStudyNotesHtml(data) {
+    const { video, studyModule, highlights, notes } = data;
+    const link = seconds =>
+        `<a class="time" href="${getVideoUrl(video.videoId, seconds)}">${formatTime(seconds)}</a>`;
+    const sections = [`
+        <header>
+            <h1>${escapeHtml(video.title)}</h1>
+            <p class="meta">${escapeHtml(video.channelName || '')} ·
+                <a href="${getVideoUrl(video.videoId)}">${getVideoUrl(video.videoId)}</a></p>
+        </header>
+    `];
+
+    if (studyModule) {
+        const chapters = (studyModule.chapters || []).map(chapter => `
+            <li>${link(chapter.startTime)} <strong>${escapeHtml(chapter.title)}</strong>: ${escapeHtml(chapter.summary)}</li>
+        `).join('');
+
+        sections.push(`
+            <section>
+                <h2>Summary</h2>
+                <p>${escapeHtml(studyModule.summary)}</p>
+                ${chapters ? `<h3>Chapters</h3><ul class="timed">${chapters}</ul>` : ''}
+            </section>
+        `);
+
+        if ((studyModule.keyTerms || []).length > 0) {
+            sections.push(`
+                <section>
+                    <h2>Key Terms</h2>
+                    <ul class="key-terms">${studyModule.keyTerms.map(term => `<li>${escapeHtml(term)}</li>`).join('')}</ul>
+                </section>
+            `);
+        }
+    }
+
+    if (highlights.length > 0) {
+        sections.push(`
+            <section>
+                <h2>Highlights</h2>
+                <ul class="timed">${highlights.map(highlight => `
+                    <li class="highlight ${escapeHtml(highlight.color || 'yellow')}">
+                        ${typeof highlight.startTime === 'number' ? link(highlight.startTime) : ''}
+                        ${escapeHtml(highlight.text)}
+                        ${highlight.note ? `<p class="note">${escapeHtml(highlight.note)}</p>` : ''}
+                    </li>
+                `).join('')}</ul>
+            </section>
+        `);
+    }
+
+    if (notes.length > 0) {
+        sections.push(`
+            <section>
+                <h2>My Notes</h2>
+                <ul class="timed">${notes.map(note => `<li>${link(note.time)} ${escapeHtml(note.text)}</li>`).join('')}</ul>
+            </section>
+        `);
+    }
+
+    const questions = (studyModule && studyModule.quiz && studyModule.quiz.questions) || [];
+    if (questions.length > 0) {
+        sections.push(`
+            <section>
+                <h2>Quiz</h2>
+                <ol class="quiz">${questions.map(question => {
+                    const prompt = formatNotesQuestion(question);
+                    const choices = prompt.choices.map(choice => `<li>${escapeHtml(choice)}</li>`).join('');
+                    return `<li>${escapeHtml(prompt.text)}${choices ? `<ul class="choices">${choices}</ul>` : ''}</li>`;
+                }).join('')}</ol>
+            </section>
+        `, `
+            <section class="answer-key">
+                <h2>Answer Key</h2>
+                <ol>${questions.map(question => `
+                    <li>
+                        <strong>${escapeHtml(formatNotesAnswer(question))}</strong>
+                        ${question.sourceTimestamp ? link(question.sourceTimestamp.start) : ''}
+                        ${question.explanation ? `<p>${escapeHtml(question.explanation)}</p>` : ''}
+                    </li>
+                `).join('')}</ol>
+            </section>
+        `);
+    }
+
+    return sections.join('');
+}
+
+/**
+ * The question text and the choices to print under it
+ * @returns {Object} { text, choices }
+ */
+function formatNotesQuestion(question) {
+    const letter = index => String.fromCharCode(65 + index);
+    const lettered = () => question.options.map((option, i) => `${letter(i)}. ${option}`);
+
+    switch (question.type) {
+        case 'true-false':
+            return { text: `True or false: ${question.question}`, choices: [] };
+        case 'multi-select':
+            return { text: `${question.question} (Select all that apply)`, choices: lettered() };
+        case 'ordering':
+            // Listed alphabetically so the question does not give the order away
+            return {
+                text: `${question.question} (Put in order)`,
+                choices: question.items.slice().sort((a, b) => a.localeCompare(b))
+            };
+        case 'fill-in-blank':
+        case 'short-answer':
+            return { text: question.question, choices: [] };
+        default:
+            return { text: question.question, choices: lettered() };
+    }
+}
+
+/**
+ * The answer of a question as text
+ */
+function formatNotesAnswer(question) {
+    const letter = index => String.fromCharCode(65 + index);
+
+    switch (question.type) {
+        case 'true-false':
+            return question.correctAnswer ? 'True' : 'False';
+        case 'multi-select':
+            return question.correctAnswers.map(index => `${letter(index)}. ${question.options[index]}`).join('; ');
+        case 'ordering':
+            return question.items.join(' → ');
+        case 'fill-in-blank':
+            return [question.correctAnswer, ...(question.acceptableAnswers || [])].join(' / ');
+        case 'short-answer':
+            return question.modelAnswer;
+        default:
+            return `${letter(question.correctAnswer)}. ${question.options[question.correctAnswer]}`;
+    }
+}
+
+/**
+ * Escape the characters Markdown would read as formatting
+ */
+function escapeMarkdown(text) {
+    return String(text ?? '').replace(/[\\`*_[\]<>]/g, '\\$&').replace(/\s*\n\s*/g, ' ');
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        createStudyNotesMarkdown,
+        createStudyNotesHtml,
+        formatNotesQuestion,
+        formatNotesAnswer
+    };
+}
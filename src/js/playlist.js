@@ -0,0 +1,149 @@
+/**
+ * Playlist Service for Echo Chrome Extension
+ * Reads the videos of a public YouTube playlist, in playlist order
+ */
+
+class PlaylistService {
+    /**
+     * @param {TranscriptService} transcriptService - Used to extract the page data embedded in YouTube HTML
+     */
+    constructor(transcriptService) {
+        this.transcriptService = transcriptService;
+        // Each continuation page holds 100 videos
+        this.maxContinuationPages = 20;
+    }
+
+    /**
+     * Download a playlist
+     * @param {string} playlistId - YouTube playlist ID (the `list` URL parameter)
+     * @returns {Promise<Object>} { playlistId, title, channelName, videos } where videos are
+     *     { videoId, title, channelName, thumbnail, lengthSeconds } in playlist order
+     */
+    async getPlaylist(playlistId) {
+        const url = `https://www.youtube.com/playlist?list=${encodeURIComponent(playlistId)}&hl=en`;
+        const response = await fetch(url, { credentials: 'omit' });
+
+        if (!response.ok) {
+            throw new Error(`Failed to load playlist page (HTTP ${response.status})`);
+        }
+
+        const html = await response.text();
+        const initialData = this.transcriptService.extractJsonAssignment(html, 'ytInitialData');
+
+        if (!initialData) {
+            throw new Error('Could not find playlist data on the playlist page');
+        }
+
+        const renderers = [];
+        let continuation = this.collectPlaylistItems(initialData, renderers);
+
+        // Long playlists are loaded 100 videos at a time, like YouTube does when scrolling
+        const clientVersion = /"INNERTUBE_CLIENT_VERSION"\s*:\s*"([^"]+)"/.exec(html)?.[1];
+        for (let page = 0; continuation && clientVersion && page < this.maxContinuationPages; page++) {
+            const continuationData = await this.fetchContinuation(continuation, clientVersion);
+            continuation = this.collectPlaylistItems(continuationData, renderers);
+        }
+
+        const videos = this.getPlaylistVideos(renderers);
+        if (videos.length === 0) {
+            throw new Error('The playlist is empty, private or unavailable');
+        }
+
+        const metadata = initialData.metadata?.playlistMetadataRenderer;
+        const header = initialData.header?.playlistHeaderRenderer;
+
+        return {
+            playlistId: playlistId,
+            title: metadata?.title || this.getText(header?.title) || 'YouTube playlist',
+            channelName: this.getText(header?.ownerText) || videos[0].channelName,
+            videos: videos
+        };
+    }
+
+    /**
+     * Fetch the next page of a long playlist
+     */
+    async fetchContinuation(token, clientVersion) {
+        const response = await fetch('https://www.youtube.com/youtubei/v1/browse?prettyPrint=false', {
+            method: 'POST',
+            credentials: 'omit',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                context: { client: { clientName: 'WEB', clientVersion: clientVersion, hl: 'en' } },
+                continuation: token
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Failed to load more playlist videos (HTTP ${response.status})`);
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Collect the playlist video renderers found anywhere in YouTube page data, in document order.
+     * The nesting of the renderers changes between YouTube layouts, so the whole tree is walked.
+     * @param {Object} data - ytInitialData or a continuation response
+     * @param {Array} renderers - Receives the playlistVideoRenderer objects
+     * @returns {string|null} Token of the next page of videos, if there is one
+     */
+    collectPlaylistItems(data, renderers) {
+        let continuation = null;
+        const stack = [data];
+
+        while (stack.length > 0) {
+            const node = stack.pop();
+            if (!node || typeof node !== 'object') continue;
+
+            if (node.playlistVideoRenderer) {
+                renderers.push(node.playlistVideoRenderer);
+                continue;
+            }
+
+            const token = node.continuationItemRenderer?.continuationEndpoint?.continuationCommand?.token;
+            if (token) {
+                continuation = token;
+                continue;
+            }
+
+            // Push children in reverse so they are visited in order
+            const children = Array.isArray(node) ? node : Object.values(node);
+            for (let i = children.length - 1; i >= 0; i--) {
+                stack.push(children[i]);
+            }
+        }
+
+        return continuation;
+    }
+
+    /**
+     * Turn playlist video renderers into video data, dropping deleted and private videos
+     */
+    getPlaylistVideos(renderers) {
+        const seen = new Set();
+
+        return renderers
+            .filter(renderer => renderer.videoId && renderer.isPlayable !== false)
+            .filter(renderer => {
+                if (seen.has(renderer.videoId)) return false;
+                seen.add(renderer.videoId);
+                return true;
+            })
+            .map(renderer => ({
+                videoId: renderer.videoId,
+                title: this.getText(renderer.title) || 'Unknown Title',
+                channelName: this.getText(renderer.shortBylineText) || 'Unknown Channel',
+                thumbnail: `https://img.youtube.com/vi/${renderer.videoId}/maxresdefault.jpg`,
+                lengthSeconds: Number(renderer.lengthSeconds) || null
+            }));
+    }
+
+    /**
+     * Read YouTube's text objects ({ simpleText } or { runs: [{ text }] })
+     */
+    getText(text) {
+        if (!text) return '';
+        return text.simpleText || (text.runs || []).map(run => run.text).join('');
+    }
+}
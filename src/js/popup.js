@@ -9,7 +9,19 @@ class EchoPopup {
         this.currentQuiz = null;
         this.currentQuestionIndex = 0;
         this.selectedAnswer = null;
+        this.answerSubmitted = false;
         this.quizScore = 0;
+        this.reviewMode = false;
+        this.generationController = null;
+        this.sessionDifficulty = null;
+        this.transcriptCache = {};
+        this.chatHistory = null;
+        this.chatController = null;
+        this.searchTimer = null;
+        this.searchQuery = '';
+        this.videos = [];
+        this.courses = [];
+        this.libraryFilter = { courseId: 'all', tag: 'all', sort: 'added' };
         
         this.init();
     }
@@ -30,9 +42,50 @@ class EchoPopup {
     setupEventListeners() {
         // Back to library button
         document.getElementById('back-to-library').addEventListener('click', () => {
+            this.cancelGeneration();
+            this.cancelQuestion();
             this.showLibraryView();
         });
 
+        // Library search, run shortly after the user stops typing
+        document.getElementById('library-search').addEventListener('input', (event) => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.searchLibrary(event.target.value), 200);
+        });
+
+        // Course and tag filters
+        document.getElementById('course-filter').addEventListener('change', (event) => {
+            this.libraryFilter.courseId = event.target.value;
+            // A course is shown in its own order unless another sort is chosen
+            this.libraryFilter.sort = this.courses.some(c => c.id === event.target.value) ? 'course' : 'added';
+            this.renderLibrary();
+        });
+
+        document.getElementById('tag-filter').addEventListener('change', (event) => {
+            this.libraryFilter.tag = event.target.value;
+            this.renderLibrary();
+        });
+
+        document.getElementById('library-sort').addEventListener('change', (event) => {
+            this.libraryFilter.sort = event.target.value;
+            this.renderLibrary();
+        });
+
+        document.getElementById('create-course').addEventListener('click', () => {
+            this.createCourse();
+        });
+
+        document.getElementById('new-course-name').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                this.createCourse();
+            }
+        });
+
+        // Review due cards button
+        document.getElementById('review-due-button').addEventListener('click', () => {
+            this.startReviewSession();
+        });
+
         // Quiz navigation buttons
         document.getElementById('submit-answer').addEventListener('click', () => {
             this.submitAnswer();
@@ -50,11 +103,99 @@ class EchoPopup {
             this.scheduleReview();
         });
 
+        document.getElementById('regenerate-module').addEventListener('click', () => {
+            this.regenerateStudyModule();
+        });
+
+        document.getElementById('refresh-transcript').addEventListener('click', () => {
+            this.refreshTranscript();
+        });
+
+        document.getElementById('cancel-generation').addEventListener('click', () => {
+            this.cancelGeneration();
+        });
+
+        document.getElementById('session-difficulty').addEventListener('change', (event) => {
+            this.changeSessionDifficulty(event.target.value);
+        });
+
+        document.getElementById('anki-export').addEventListener('change', (event) => {
+            const format = event.target.value;
+            event.target.value = '';
+            this.exportVideoToAnki(format);
+        });
+
+        document.getElementById('notes-export').addEventListener('change', (event) => {
+            const format = event.target.value;
+            event.target.value = '';
+            if (format === 'markdown') {
+                this.exportNotesMarkdown();
+            } else if (format === 'print') {
+                this.openPrintableNotes();
+            }
+        });
+
+        // Study / Ask tabs
+        document.querySelectorAll('.study-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.showStudyTab(tab.dataset.tab);
+            });
+        });
+
+        document.getElementById('chat-send').addEventListener('click', () => {
+            this.askQuestion();
+        });
+
+        // Enter sends the question, Shift+Enter adds a new line
+        document.getElementById('chat-input').addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && !event.shiftKey) {
+                event.preventDefault();
+                this.askQuestion();
+            }
+        });
+
+        document.getElementById('chat-clear').addEventListener('click', () => {
+            this.clearChatHistory();
+        });
+
         // Footer buttons
         document.getElementById('settings-button').addEventListener('click', () => {
             this.showSettings();
         });
 
+        // Settings view
+        document.getElementById('back-from-settings').addEventListener('click', () => {
+            this.showLibraryView();
+        });
+
+        document.getElementById('ai-provider').addEventListener('change', () => {
+            this.updateProviderFields();
+        });
+
+        document.getElementById('save-settings').addEventListener('click', () => {
+            this.saveSettings();
+        });
+
+        document.getElementById('test-ai-provider').addEventListener('click', () => {
+            this.testAIProvider();
+        });
+
+        document.getElementById('export-backup').addEventListener('click', () => {
+            this.exportBackup();
+        });
+
+        document.getElementById('import-backup').addEventListener('click', () => {
+            document.getElementById('import-file').click();
+        });
+
+        document.getElementById('import-file').addEventListener('change', (event) => {
+            const file = event.target.files[0];
+            event.target.value = '';
+            if (file) {
+                this.importBackup(file);
+            }
+        });
+
         document.getElementById('help-button').addEventListener('click', () => {
             this.showHelp();
         });
@@ -68,10 +209,14 @@ class EchoPopup {
             this.showLoadingState();
             
             const response = await this.sendMessageToBackground({ action: 'getVideos' });
+            const coursesResponse = await this.sendMessageToBackground({ action: 'getCourses' });
             
             if (response.success) {
-                this.renderVideoLibrary(response.data);
+                this.videos = response.data;
+                this.courses = coursesResponse.success ? coursesResponse.data : [];
+                this.renderLibrary();
                 this.updateVideoCount(response.data.length);
+                await this.updateDueCardCount();
             } else {
                 this.showError('Failed to load video library');
             }
@@ -83,6 +228,112 @@ class EchoPopup {
         }
     }
 
+    /**
+     * Render the filters and the videos of the current course, tag and sort selection
+     */
+    renderLibrary() {
+        const selectedCourse = this.courses.find(c => c.id === this.libraryFilter.courseId);
+        if (!selectedCourse && !['all', 'none'].includes(this.libraryFilter.courseId)) {
+            // The selected course was deleted
+            this.libraryFilter.courseId = 'all';
+        }
+        if (!selectedCourse && this.libraryFilter.sort === 'course') {
+            this.libraryFilter.sort = 'added';
+        }
+
+        const tags = this.getLibraryTags();
+        if (!tags.includes(this.libraryFilter.tag)) {
+            this.libraryFilter.tag = 'all';
+        }
+
+        document.getElementById('library-toolbar').classList.toggle('hidden', this.videos.length === 0);
+
+        document.getElementById('course-filter').innerHTML = [
+            { value: 'all', label: 'All videos' },
+            ...this.courses.map(course => ({ value: course.id, label: `📁 ${course.name} (${course.videoIds.length})` })),
+            { value: 'none', label: 'Not in a course' }
+        ].map(option => `
+            <option value="${option.value}" ${option.value === this.libraryFilter.courseId ? 'selected' : ''}>${this.escapeHtml(option.label)}</option>
+        `).join('');
+
+        document.getElementById('tag-filter').innerHTML = [
+            { value: 'all', label: 'All tags' },
+            ...tags.map(tag => ({ value: tag, label: `# ${tag}` }))
+        ].map(option => `
+            <option value="${this.escapeHtml(option.value).replace(/"/g, '&quot;')}" ${option.value === this.libraryFilter.tag ? 'selected' : ''}>${this.escapeHtml(option.label)}</option>
+        `).join('');
+
+        const sortSelect = document.getElementById('library-sort');
+        sortSelect.querySelector('option[value="course"]').disabled = !selectedCourse;
+        sortSelect.value = this.libraryFilter.sort;
+
+        this.renderCourseHeader(selectedCourse);
+        this.renderVideoLibrary(this.getVisibleVideos());
+    }
+
+    /**
+     * Show the name and actions of the selected course
+     */
+    renderCourseHeader(course) {
+        const courseHeader = document.getElementById('course-header');
+        courseHeader.classList.toggle('hidden', !course);
+        if (!course) return;
+
+        courseHeader.innerHTML = `
+            <div class="course-header-row">
+                <input class="course-name-input" type="text" value="${this.escapeHtml(course.name).replace(/"/g, '&quot;')}"
+                       title="Rename course" onchange="echoPopup.renameCourse('${course.id}', this.value)">
+                <button class="delete-button" title="Delete course (its videos stay in the library)"
+                        onclick="echoPopup.deleteCourse('${course.id}')">✕</button>
+            </div>
+            <p class="course-meta">${course.videoIds.length} video${course.videoIds.length !== 1 ? 's' : ''}</p>
+            <button class="study-button" onclick="echoPopup.startCourseSession('${course.id}')"
+                    ${course.videoIds.length === 0 ? 'disabled' : ''}>📚 Study Course</button>
+            <select class="session-difficulty course-export" title="Export the course flashcards to Anki"
+                    onchange="echoPopup.exportCourseToAnki('${course.id}', this.value); this.value = ''"
+                    ${course.videoIds.length === 0 ? 'disabled' : ''}>
+                <option value="">Export course to Anki...</option>
+                <option value="apkg">Anki deck (.apkg)</option>
+                <option value="csv">CSV</option>
+                <option value="tsv">TSV</option>
+            </select>
+        `;
+    }
+
+    /**
+     * All tags used in the library, sorted alphabetically
+     */
+    getLibraryTags() {
+        const tags = new Set();
+        this.videos.forEach(video => (video.tags || []).forEach(tag => tags.add(tag)));
+        return Array.from(tags).sort((a, b) => a.localeCompare(b));
+    }
+
+    /**
+     * Videos matching the selected course and tag, in the selected order
+     */
+    getVisibleVideos() {
+        const { courseId, tag, sort } = this.libraryFilter;
+        const course = this.courses.find(c => c.id === courseId);
+
+        const videos = this.videos.filter(video => {
+            if (course && !course.videoIds.includes(video.videoId)) return false;
+            if (courseId === 'none' && this.courses.some(c => c.videoIds.includes(video.videoId))) return false;
+            if (tag !== 'all' && !(video.tags || []).includes(tag)) return false;
+            return true;
+        });
+
+        const comparators = {
+            course: (a, b) => course.videoIds.indexOf(a.videoId) - course.videoIds.indexOf(b.videoId),
+            added: (a, b) => (b.addedAt || 0) - (a.addedAt || 0),
+            title: (a, b) => (a.title || '').localeCompare(b.title || ''),
+            lastStudied: (a, b) => (b.lastStudied || 0) - (a.lastStudied || 0),
+            studyCount: (a, b) => (b.studyCount || 0) - (a.studyCount || 0)
+        };
+
+        return videos.sort(comparators[sort] || comparators.added);
+    }
+
     /**
      * Render the video library
      */
@@ -90,7 +341,7 @@ class EchoPopup {
         const videoList = document.getElementById('video-list');
         const emptyState = document.getElementById('empty-state');
 
-        if (videos.length === 0) {
+        if (this.videos.length === 0) {
             videoList.style.display = 'none';
             emptyState.style.display = 'block';
             return;
@@ -99,9 +350,246 @@ class EchoPopup {
         videoList.style.display = 'block';
         emptyState.style.display = 'none';
 
+        if (videos.length === 0) {
+            videoList.innerHTML = '<p class="section-empty">No videos match this selection.</p>';
+            return;
+        }
+
         videoList.innerHTML = videos.map(video => this.createVideoItem(video)).join('');
     }
 
+    /**
+     * Create a course from the name typed in the library toolbar
+     */
+    async createCourse() {
+        const input = document.getElementById('new-course-name');
+        const name = input.value.trim();
+        if (!name) return;
+
+        const response = await this.sendMessageToBackground({
+            action: 'createCourse',
+            data: { name: name }
+        });
+
+        if (!response.success) {
+            this.showError(response.error || 'Failed to create course');
+            return;
+        }
+
+        input.value = '';
+        this.courses.push(response.data);
+        this.libraryFilter.courseId = response.data.id;
+        this.libraryFilter.sort = 'course';
+        this.renderLibrary();
+        this.showNotification(`Course "${response.data.name}" created. Add videos with "Add to course".`, 'success');
+    }
+
+    /**
+     * Rename a course
+     */
+    async renameCourse(courseId, name) {
+        const response = await this.sendMessageToBackground({
+            action: 'updateCourse',
+            courseId: courseId,
+            data: { name: name }
+        });
+
+        if (!response.success) {
+            this.showError(response.error || 'Failed to rename course');
+        } else {
+            this.replaceCourse(response.data);
+        }
+        this.renderLibrary();
+    }
+
+    /**
+     * Delete a course, keeping its videos in the library
+     */
+    async deleteCourse(courseId) {
+        const response = await this.sendMessageToBackground({
+            action: 'deleteCourse',
+            courseId: courseId
+        });
+
+        if (!response.success) {
+            this.showError(response.error || 'Failed to delete course');
+            return;
+        }
+
+        this.courses = this.courses.filter(c => c.id !== courseId);
+        this.renderLibrary();
+    }
+
+    /**
+     * Add a video to the end of a course
+     */
+    async addVideoToCourse(videoId, courseId) {
+        if (!courseId) return;
+
+        await this.updateCourseVideos({ action: 'addVideoToCourse', courseId: courseId, videoId: videoId });
+    }
+
+    /**
+     * Remove a video from a course
+     */
+    async removeVideoFromCourse(courseId, videoId) {
+        await this.updateCourseVideos({ action: 'removeVideoFromCourse', courseId: courseId, videoId: videoId });
+    }
+
+    /**
+     * Move a video one place up (-1) or down (1) in the selected course
+     */
+    async moveVideoInCourse(courseId, videoId, direction) {
+        const course = this.courses.find(c => c.id === courseId);
+        const videoIds = course.videoIds.slice();
+        const index = videoIds.indexOf(videoId);
+        const target = index + direction;
+
+        if (index < 0 || target < 0 || target >= videoIds.length) return;
+
+        [videoIds[index], videoIds[target]] = [videoIds[target], videoIds[index]];
+        await this.updateCourseVideos({ action: 'reorderCourse', courseId: courseId, videoIds: videoIds });
+    }
+
+    /**
+     * Send a change to the videos of a course and show the updated course
+     */
+    async updateCourseVideos(message) {
+        const response = await this.sendMessageToBackground(message);
+
+        if (!response.success) {
+            this.showError(response.error || 'Failed to update course');
+            return;
+        }
+
+        this.replaceCourse(response.data);
+        this.renderLibrary();
+    }
+
+    /**
+     * Replace the local copy of a course with its stored version
+     */
+    replaceCourse(course) {
+        this.courses = this.courses.map(c => c.id === course.id ? course : c);
+    }
+
+    /**
+     * Add a tag to a video
+     */
+    async addVideoTag(videoId, tag) {
+        const video = this.videos.find(v => v.videoId === videoId);
+        if (!video || !tag.trim()) return;
+
+        await this.setVideoTags(video, [...(video.tags || []), tag]);
+    }
+
+    /**
+     * Remove a tag from a video
+     */
+    async removeVideoTag(videoId, tagIndex) {
+        const video = this.videos.find(v => v.videoId === videoId);
+        if (!video) return;
+
+        await this.setVideoTags(video, (video.tags || []).filter((tag, i) => i !== tagIndex));
+    }
+
+    /**
+     * Store the tags of a video and show them
+     */
+    async setVideoTags(video, tags) {
+        const response = await this.sendMessageToBackground({
+            action: 'setVideoTags',
+            videoId: video.videoId,
+            tags: tags
+        });
+
+        if (!response.success) {
+            this.showError(response.error || 'Failed to update tags');
+            return;
+        }
+
+        video.tags = response.data;
+        this.renderLibrary();
+    }
+
+    /**
+     * Search the library and show the matching videos instead of the full list
+     */
+    async searchLibrary(query) {
+        this.searchQuery = query.trim();
+        const searchResults = document.getElementById('search-results');
+        const searching = this.searchQuery.length > 0;
+
+        searchResults.classList.toggle('hidden', !searching);
+        document.getElementById('library-toolbar').classList.toggle('hidden', searching || this.videos.length === 0);
+        document.getElementById('video-list').classList.toggle('hidden', searching);
+        document.getElementById('empty-state').classList.toggle('hidden', searching);
+
+        if (!searching) return;
+
+        const response = await this.sendMessageToBackground({
+            action: 'searchLibrary',
+            query: this.searchQuery
+        });
+
+        // Ignore results of a query the user has typed past
+        if (query.trim() !== this.searchQuery) return;
+
+        if (!response.success) {
+            this.showError(response.error || 'Search failed');
+            return;
+        }
+
+        this.displaySearchResults(response.data);
+    }
+
+    /**
+     * Display library search results, with links to the moments in each video that match
+     */
+    displaySearchResults(results) {
+        const searchResults = document.getElementById('search-results');
+
+        if (results.length === 0) {
+            searchResults.innerHTML = `
+                <p class="section-empty">No videos match "${this.escapeHtml(this.searchQuery)}".</p>
+            `;
+            return;
+        }
+
+        const fieldLabels = {
+            title: 'Title',
+            channel: 'Channel',
+            summary: 'Summary',
+            keyTerm: 'Key term',
+            note: 'Note',
+            tag: 'Tag',
+            transcript: 'Transcript'
+        };
+
+        searchResults.innerHTML = results.map(result => `
+            <div class="search-result">
+                <div class="search-result-header">
+                    <div>
+                        <h3 class="video-title">${this.escapeHtml(result.title)}</h3>
+                        <p class="video-channel">${this.escapeHtml(result.channelName || '')}</p>
+                    </div>
+                    <button class="regenerate-button" onclick="echoPopup.startStudySession('${result.videoId}')">📚 Study</button>
+                </div>
+                ${result.matches.map(match => `
+                    <div class="search-match">
+                        <span class="search-match-field">${fieldLabels[match.field] || match.field}</span>
+                        ${match.time !== null ? `
+                            <button class="watch-link search-match-time" onclick="echoPopup.openVideoAt('${result.videoId}', ${Number(match.time)})">
+                                ▶ ${this.formatTime(match.time)}
+                            </button>
+                        ` : ''}
+                        <span class="search-match-text">${this.escapeHtml(match.snippet)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+    }
+
     /**
      * Create HTML for a video item
      */
@@ -119,6 +607,9 @@ class EchoPopup {
                     <span class="study-count">Studied ${video.studyCount || 0} times</span>
                     <span class="last-studied">Last: ${lastStudied}</span>
                 </div>
+                ${this.createTagList(video)}
+                ${this.createCourseControls(video)}
+                ${this.createDifficultySelect(video)}
                 <button class="study-button" onclick="echoPopup.startStudySession('${video.videoId}')">
                     📚 Study Now
                 </button>
@@ -126,6 +617,93 @@ class EchoPopup {
         `;
     }
 
+    /**
+     * Create the tags of a video item, with a field to add one
+     */
+    createTagList(video) {
+        return `
+            <div class="video-tags">
+                ${(video.tags || []).map((tag, i) => `
+                    <span class="tag-chip">#${this.escapeHtml(tag)}
+                        <button title="Remove tag" onclick="echoPopup.removeVideoTag('${video.videoId}', ${i})">✕</button>
+                    </span>
+                `).join('')}
+                <input class="tag-input" type="text" placeholder="+ Tag"
+                       onkeydown="if (event.key === 'Enter') echoPopup.addVideoTag('${video.videoId}', this.value)">
+            </div>
+        `;
+    }
+
+    /**
+     * Create the course controls of a video item: reordering within the selected course,
+     * and adding the video to another course
+     */
+    createCourseControls(video) {
+        const course = this.courses.find(c => c.id === this.libraryFilter.courseId);
+        const otherCourses = this.courses.filter(c => !c.videoIds.includes(video.videoId));
+        const orderControls = course && this.libraryFilter.sort === 'course' ? `
+            <button class="regenerate-button" title="Move up" onclick="echoPopup.moveVideoInCourse('${course.id}', '${video.videoId}', -1)">↑</button>
+            <button class="regenerate-button" title="Move down" onclick="echoPopup.moveVideoInCourse('${course.id}', '${video.videoId}', 1)">↓</button>
+        ` : '';
+        const removeControl = course ? `
+            <button class="regenerate-button" title="Remove from this course" onclick="echoPopup.removeVideoFromCourse('${course.id}', '${video.videoId}')">Remove</button>
+        ` : '';
+        const addControl = otherCourses.length > 0 ? `
+            <select class="course-select" onchange="echoPopup.addVideoToCourse('${video.videoId}', this.value)">
+                <option value="">Add to course...</option>
+                ${otherCourses.map(c => `<option value="${c.id}">${this.escapeHtml(c.name)}</option>`).join('')}
+            </select>
+        ` : '';
+
+        if (!orderControls && !removeControl && !addControl) return '';
+
+        return `<div class="course-controls">${orderControls}${removeControl}${addControl}</div>`;
+    }
+
+    /**
+     * Create the difficulty selector of a video item
+     */
+    createDifficultySelect(video) {
+        const difficulty = video.difficulty || 'medium';
+        const adaptive = video.adaptiveDifficulty !== false;
+        const selected = adaptive ? 'adaptive' : difficulty;
+
+        const options = [
+            { value: 'adaptive', label: `Adaptive (${getDifficultyLevel(difficulty).label})` },
+            ...Object.values(DIFFICULTY_LEVELS).map(level => ({ value: level.name, label: level.label }))
+        ];
+
+        return `
+            <label class="difficulty-field">
+                <span>Difficulty</span>
+                <select onchange="echoPopup.setVideoDifficulty('${video.videoId}', this.value)">
+                    ${options.map(option => `
+                        <option value="${option.value}" ${option.value === selected ? 'selected' : ''}>${option.label}</option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+    }
+
+    /**
+     * Set the difficulty of a video, or let it adapt to the quiz scores
+     */
+    async setVideoDifficulty(videoId, value) {
+        const data = value === 'adaptive' ?
+            { adaptiveDifficulty: true } :
+            { adaptiveDifficulty: false, difficulty: value };
+
+        const response = await this.sendMessageToBackground({
+            action: 'updateVideo',
+            videoId: videoId,
+            data: data
+        });
+
+        if (!response.success) {
+            this.showError(response.error || 'Failed to update difficulty');
+        }
+    }
+
     /**
      * Update video count display
      */
@@ -134,6 +712,18 @@ class EchoPopup {
         countElement.textContent = `${count} video${count !== 1 ? 's' : ''}`;
     }
 
+    /**
+     * Update the "Review due cards" button with the number of due cards
+     */
+    async updateDueCardCount() {
+        const reviewButton = document.getElementById('review-due-button');
+        const response = await this.sendMessageToBackground({ action: 'getDueCards' });
+        const dueCount = response.success ? response.data.length : 0;
+
+        reviewButton.textContent = `🔁 Review due cards (${dueCount})`;
+        reviewButton.disabled = dueCount === 0;
+    }
+
     /**
      * Start a study session for a video
      */
@@ -151,21 +741,12 @@ class EchoPopup {
             if (!this.currentVideo) {
                 throw new Error('Video not found');
             }
+            this.sessionDifficulty = null;
 
-            // Get transcript from content script
-            const transcriptResponse = await this.sendMessageToBackground({ 
-                action: 'getTranscript' 
-            });
-            
-            if (!transcriptResponse.success) {
-                throw new Error('Failed to get transcript. Make sure you\'re on a YouTube video page.');
+            if (!(await this.showStudyModule())) {
+                // Generation was cancelled
+                return;
             }
-
-            // Generate study materials using AI
-            const studyModule = await this.generateStudyModule(transcriptResponse.data);
-            
-            // Display the quiz
-            this.displayQuiz(studyModule);
             
             // Update study count
             await this.updateVideoStudyCount(videoId);
@@ -179,42 +760,528 @@ class EchoPopup {
     }
 
     /**
-     * Generate study module using AI
+     * Show the stored study module of the current video, or generate one if it has none at the
+     * session difficulty
+     * @returns {Promise<boolean>} False if generation was cancelled
+     */
+    async showStudyModule() {
+        // Reuse the stored study module so retakes are comparable
+        const storedResponse = await this.sendMessageToBackground({
+            action: 'getStudyModule',
+            videoId: this.currentVideo.videoId
+        });
+
+        // A module made at another difficulty is regenerated, e.g. after adaptive difficulty changed,
+        // and so is one without questions
+        const storedModule = storedResponse.success ? storedResponse.data : null;
+        if (storedModule && storedModule.difficulty === this.getSessionDifficulty() &&
+            storedModule.studyModule.quiz.questions.length > 0) {
+            this.displayQuiz(storedModule.studyModule);
+            this.displayStudyModuleInfo(storedModule);
+            return true;
+        }
+
+        return this.createStudyModule();
+    }
+
+    /**
+     * Regenerate the study module for the current video, replacing the stored one unless the
+     * session has its own difficulty
      */
-    async generateStudyModule(transcriptData) {
+    async regenerateStudyModule() {
+        if (!this.currentVideo) return;
+
         try {
-            const studyModule = await generateStudyModule(
-                transcriptData.transcript,
-                transcriptData.highlights || [],
-                this.currentVideo.difficulty || 'medium'
-            );
-            
-            return studyModule;
+            this.showLoadingState();
+            if (await this.createStudyModule()) {
+                this.showNotification('Study materials regenerated', 'success');
+            }
         } catch (error) {
-            console.error('Error generating study module:', error);
-            throw new Error('Failed to generate study materials');
+            console.error('Error regenerating study module:', error);
+            this.showError(error.message);
+        } finally {
+            this.hideLoadingState();
         }
     }
 
     /**
-     * Display the quiz interface
+     * Re-download the stored transcript for the current video
      */
-    displayQuiz(studyModule) {
-        this.currentQuiz = studyModule;
-        this.currentQuestionIndex = 0;
-        this.quizScore = 0;
+    async refreshTranscript() {
+        if (!this.currentVideo) return;
+
+        try {
+            this.showLoadingState();
+
+            const response = await this.sendMessageToBackground({
+                action: 'refreshTranscript',
+                videoId: this.currentVideo.videoId
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to refresh transcript');
+            }
+
+            this.transcriptCache[this.currentVideo.videoId] = response.data.transcript;
+
+            const source = response.data.source === 'caption-track' ? 'captions' : 'transcript panel';
+            this.showNotification(
+                `Transcript refreshed (${response.data.transcript.length} segments from ${source})`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Error refreshing transcript:', error);
+            this.showError(error.message);
+        } finally {
+            this.hideLoadingState();
+        }
+    }
+
+    /**
+     * Generate, store and display a new study module for the current video. A module at a difficulty
+     * chosen for this session only is displayed without replacing the stored one.
+     * @returns {Promise<boolean>} False if the user cancelled the generation
+     */
+    async createStudyModule() {
+        // Get transcript for the video, whether or not its tab is open
+        const transcriptResponse = await this.sendMessageToBackground({ 
+            action: 'getTranscript',
+            videoId: this.currentVideo.videoId
+        });
+        
+        if (!transcriptResponse.success) {
+            throw new Error(transcriptResponse.error || 'Failed to get transcript');
+        }
+
+        // Generate study materials using AI, showing each section as it arrives
+        const difficulty = this.getSessionDifficulty();
+        this.hideLoadingState();
+        this.showGenerationProgress();
+        this.generationController = new AbortController();
+
+        let studyModule;
+        try {
+            studyModule = await this.generateStudyModule(
+                transcriptResponse.data,
+                this.generationController.signal
+            );
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.showNotification('Generation cancelled', 'info');
+                this.showLibraryView();
+                return false;
+            }
+            throw error;
+        } finally {
+            this.generationController = null;
+            this.hideGenerationProgress();
+        }
+
+        // A module without questions cannot be studied, so it is not stored
+        if (studyModule.quiz.questions.length === 0) {
+            throw new Error('No quiz questions could be generated for this video');
+        }
+
+        const moduleData = {
+            studyModule: studyModule,
+            difficulty: difficulty,
+            promptVersion: PROMPT_VERSION
+        };
+
+        // A difficulty chosen for this session only must not replace the stored module, or the next
+        // session would regenerate it at the video's difficulty again and retakes would not compare
+        let storedModule = { ...moduleData, generatedAt: Date.now(), sessionOnly: true };
+        if (!this.sessionDifficulty) {
+            const saveResponse = await this.sendMessageToBackground({
+                action: 'saveStudyModule',
+                videoId: this.currentVideo.videoId,
+                data: moduleData
+            });
+
+            if (!saveResponse.success) {
+                console.error('Error saving study module:', saveResponse.error);
+            }
+            storedModule = saveResponse.data;
+        }
+        
+        // Display the quiz
+        this.displayQuiz(studyModule);
+        this.displayStudyModuleInfo(storedModule);
+
+        // Persist each question and key term as its own flashcard
+        await this.saveStudyCards(studyModule, transcriptResponse.data.transcript);
+        return true;
+    }
+
+    /**
+     * Difficulty of the current session: chosen for this session, or the video's difficulty
+     */
+    getSessionDifficulty() {
+        return this.sessionDifficulty || (this.currentVideo && this.currentVideo.difficulty) || 'medium';
+    }
+
+    /**
+     * Switch this session to another difficulty. The stored module is used at the video's own
+     * difficulty; any other difficulty gets a module for this session only.
+     */
+    async changeSessionDifficulty(difficulty) {
+        if (!this.currentVideo || difficulty === this.getSessionDifficulty()) return;
+
+        const videoDifficulty = this.currentVideo.difficulty || 'medium';
+        this.sessionDifficulty = difficulty === videoDifficulty ? null : difficulty;
+
+        try {
+            this.showLoadingState();
+            await this.showStudyModule();
+        } catch (error) {
+            console.error('Error changing session difficulty:', error);
+            this.showError(error.message);
+        } finally {
+            this.hideLoadingState();
+        }
+    }
+
+    /**
+     * Show the study view in its generating state, with placeholders for each section
+     */
+    showGenerationProgress() {
+        this.showQuizView();
+
+        ['summary-section', 'key-terms-section'].forEach(id => {
+            document.getElementById(id).classList.remove('hidden');
+        });
+        ['highlights-section', 'notes-section', 'quiz-section', 'study-actions'].forEach(id => {
+            document.getElementById(id).classList.add('hidden');
+        });
+
+        document.getElementById('summary-content').innerHTML =
+            '<p class="generation-placeholder">Writing summary...</p>';
+        document.getElementById('key-terms-content').innerHTML =
+            '<span class="generation-placeholder">Extracting key terms...</span>';
+        document.getElementById('question-preview').innerHTML = '';
+        document.getElementById('generation-status-text').textContent = 'Generating study materials...';
+        document.getElementById('generation-status').classList.remove('hidden');
+
+        document.getElementById('quiz-title').textContent = 
+            `Study Session: ${this.currentVideo.title}`;
+    }
+
+    /**
+     * Render the sections of a study module that have been generated so far
+     * @param {Object} partial - { summary, keyTerms, questions, chapters, totalChapters }
+     */
+    displayGenerationProgress(partial) {
+        if (partial.summary !== null) {
+            this.displaySummary(partial.summary, partial.chapters);
+        } else if (partial.chapters) {
+            this.displaySummary('Writing summary...', partial.chapters);
+        }
+
+        if (partial.keyTerms) {
+            this.displayKeyTerms(partial.keyTerms);
+        }
+
+        document.getElementById('question-preview').innerHTML = partial.questions.map(question =>
+            `<li>${this.escapeHtml(question.question)}</li>`
+        ).join('');
+
+        const questionCount = `${partial.questions.length} question${partial.questions.length !== 1 ? 's' : ''} ready`;
+        document.getElementById('generation-status-text').textContent = partial.chapters ?
+            `Chapter ${partial.chapters.length} of ${partial.totalChapters} done · ${questionCount}` :
+            questionCount;
+    }
+
+    /**
+     * Hide the generating state
+     */
+    hideGenerationProgress() {
+        document.getElementById('generation-status').classList.add('hidden');
+        document.getElementById('quiz-section').classList.remove('hidden');
+    }
+
+    /**
+     * Abort the study module generation in progress, if any
+     */
+    cancelGeneration() {
+        if (this.generationController) {
+            this.generationController.abort();
+        }
+    }
+
+    /**
+     * Show when and how the current study module was generated
+     */
+    displayStudyModuleInfo(storedModule) {
+        const studyInfo = document.getElementById('study-module-info');
+
+        if (!storedModule) {
+            studyInfo.textContent = '';
+            return;
+        }
+
+        document.getElementById('session-difficulty').value = storedModule.difficulty || 'medium';
+
+        const generatedAt = new Date(storedModule.generatedAt).toLocaleString();
+        studyInfo.textContent = 
+            `Generated ${generatedAt} · ${storedModule.difficulty} · prompt v${storedModule.promptVersion}` +
+            (storedModule.sessionOnly ? ' · this session only' : '');
+        studyInfo.title = '';
+
+        // Report what had to be fixed in the AI response
+        const report = storedModule.studyModule && storedModule.studyModule.repairReport;
+        if (!report) return;
+
+        const fixes = [];
+        if (report.attempts > 1) {
+            fixes.push(`${report.attempts} attempts`);
+        }
+        if (report.repairs.length > 0) {
+            fixes.push(`${report.repairs.length} repair${report.repairs.length !== 1 ? 's' : ''}`);
+        }
+        if (report.droppedQuestions.length > 0) {
+            fixes.push(`${report.droppedQuestions.length} invalid question${report.droppedQuestions.length !== 1 ? 's' : ''} dropped`);
+        }
+
+        if (fixes.length > 0) {
+            studyInfo.textContent += ` · ${fixes.join(', ')}`;
+            studyInfo.title = [
+                ...report.repairs,
+                ...report.droppedQuestions.map(dropped => `Dropped: ${dropped.error}`)
+            ].join('\n');
+        }
+    }
+
+    /**
+     * Generate study module using AI
+     */
+    async generateStudyModule(transcriptData, signal) {
+        try {
+            const settings = await this.getSettings();
+            const studyModule = await generateStudyModule(
+                transcriptData.transcript,
+                transcriptData.highlights || [],
+                this.getSessionDifficulty(),
+                {
+                    notes: transcriptData.notes || [],
+                    provider: createAIProvider(settings),
+                    signal: signal,
+                    onProgress: partial => this.displayGenerationProgress(partial)
+                }
+            );
+            
+            return studyModule;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+
+            console.error('Error generating study module:', error);
+            throw new Error('Failed to generate study materials');
+        }
+    }
+
+    /**
+     * Save the questions and key terms of a study module as flashcards
+     */
+    async saveStudyCards(studyModule, transcript) {
+        const videoId = this.currentVideo.videoId;
+
+        const questionCards = studyModule.quiz.questions.map(question => ({
+            id: this.getCardId(videoId, 'question', question.question),
+            type: 'question',
+            question: question
+        }));
+
+        const termCards = studyModule.keyTerms.map(term => ({
+            id: this.getCardId(videoId, 'term', term),
+            type: 'term',
+            term: term,
+            context: this.findTermContext(term, transcript)
+        }));
+
+        const response = await this.sendMessageToBackground({
+            action: 'saveCards',
+            videoId: videoId,
+            cards: [...questionCards, ...termCards]
+        });
+
+        if (!response.success) {
+            console.error('Error saving study cards:', response.error);
+        }
+    }
+
+    /**
+     * Build a stable card ID from the card content
+     */
+    getCardId(videoId, type, text) {
+        let hash = 5381;
+        const normalized = text.trim().toLowerCase();
+        for (let i = 0; i < normalized.length; i++) {
+            hash = ((hash << 5) + hash + normalized.charCodeAt(i)) | 0;
+        }
+        return `${videoId}_${type}_${(hash >>> 0).toString(36)}`;
+    }
+
+    /**
+     * Find the transcript segment where a key term is first mentioned
+     */
+    findTermContext(term, transcript = []) {
+        const needle = term.toLowerCase();
+        const segment = transcript.find(s => s.text.toLowerCase().includes(needle));
+
+        if (!segment) return null;
+
+        return {
+            text: segment.text,
+            startTime: segment.startTime,
+            timestamp: segment.timestamp
+        };
+    }
+
+    /**
+     * Start a review session with due cards from every video in the library
+     */
+    async startReviewSession() {
+        try {
+            const response = await this.sendMessageToBackground({ action: 'getDueCards' });
+            if (!response.success) {
+                throw new Error('Failed to load due cards');
+            }
+
+            if (response.data.length === 0) {
+                this.showNotification('No cards are due for review', 'info');
+                return;
+            }
+
+            const questions = this.shuffle(response.data).map(card => {
+                if (card.type === 'term') {
+                    return {
+                        type: 'flashcard',
+                        question: card.term,
+                        context: card.context,
+                        cardId: card.id,
+                        videoTitle: card.videoTitle
+                    };
+                }
+                return {
+                    ...card.question,
+                    cardId: card.id,
+                    videoId: card.videoId,
+                    videoTitle: card.videoTitle
+                };
+            });
+
+            this.currentVideo = null;
+            this.displayQuiz({ summary: '', keyTerms: [], quiz: { questions } }, true);
+
+            document.getElementById('quiz-title').textContent = 
+                `Review: ${questions.length} due card${questions.length !== 1 ? 's' : ''}`;
+        } catch (error) {
+            console.error('Error starting review session:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Quiz on every studied video of a course, in course order
+     */
+    async startCourseSession(courseId) {
+        try {
+            const response = await this.sendMessageToBackground({
+                action: 'getCourseStudyModules',
+                courseId: courseId
+            });
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load course');
+            }
+
+            const { course, videos } = response.data;
+            const studiedVideos = videos.filter(video => video.studyModule && video.studyModule.quiz.questions.length > 0);
+
+            if (studiedVideos.length === 0) {
+                this.showNotification('Study the videos of this course first; the course quiz uses their study materials', 'info');
+                return;
+            }
+
+            const questions = studiedVideos.flatMap(video => video.studyModule.quiz.questions.map(question => ({
+                ...question,
+                cardId: this.getCardId(video.videoId, 'question', question.question),
+                videoId: video.videoId,
+                videoTitle: video.title
+            })));
+
+            this.currentVideo = null;
+            this.displayQuiz({ summary: '', keyTerms: [], quiz: { questions } }, true);
+
+            document.getElementById('quiz-title').textContent =
+                `Course: ${course.name} (${studiedVideos.length} video${studiedVideos.length !== 1 ? 's' : ''})`;
+
+            const unstudied = videos.length - studiedVideos.length;
+            if (unstudied > 0) {
+                this.showNotification(
+                    `${unstudied} video${unstudied !== 1 ? 's have' : ' has'} not been studied yet and ${unstudied !== 1 ? 'are' : 'is'} left out`,
+                    'info'
+                );
+            }
+        } catch (error) {
+            console.error('Error starting course session:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Display the quiz interface
+     */
+    displayQuiz(studyModule, reviewMode = false) {
+        this.currentQuiz = studyModule;
+        this.currentQuestionIndex = 0;
+        this.quizScore = 0;
+        this.reviewMode = reviewMode;
         
         // Show quiz view
         this.showQuizView();
+
+        // Review sessions mix cards from several videos, so there is no single summary
+        document.getElementById('summary-section').classList.toggle('hidden', reviewMode);
+        document.getElementById('key-terms-section').classList.toggle('hidden', reviewMode);
+        document.getElementById('highlights-section').classList.toggle('hidden', reviewMode);
+        document.getElementById('notes-section').classList.toggle('hidden', reviewMode);
+        document.getElementById('schedule-review').classList.toggle('hidden', reviewMode);
+        document.getElementById('retake-quiz').classList.toggle('hidden', reviewMode);
+        document.getElementById('study-actions').classList.toggle('hidden', reviewMode);
+        document.getElementById('study-tabs').classList.toggle('hidden', reviewMode);
+        this.showStudyTab('study-tab');
+
+        // Without questions there is nothing to quiz on, but the rest of the module can still be read
+        const hasQuestions = studyModule.quiz.questions.length > 0;
+        document.getElementById('quiz-section').classList.toggle('hidden', !hasQuestions);
+        
+        if (reviewMode) {
+            if (hasQuestions) {
+                this.displayQuestion(studyModule.quiz.questions[0]);
+            }
+            return;
+        }
         
         // Display summary
-        this.displaySummary(studyModule.summary);
+        this.displaySummary(studyModule.summary, studyModule.chapters);
         
         // Display key terms
         this.displayKeyTerms(studyModule.keyTerms);
+
+        // Display the user's highlights and notes for this video
+        this.loadHighlights();
+        this.loadNotes();
+
+        // The chat history is loaded when the Ask tab is opened
+        this.chatHistory = null;
         
         // Display first question
-        this.displayQuestion(studyModule.quiz.questions[0]);
+        if (hasQuestions) {
+            this.displayQuestion(studyModule.quiz.questions[0]);
+        } else {
+            this.showNotification('This video has no quiz questions yet; use Regenerate to create them', 'info');
+        }
         
         // Update quiz title
         document.getElementById('quiz-title').textContent = 
@@ -224,9 +1291,25 @@ class EchoPopup {
     /**
      * Display summary
      */
-    displaySummary(summary) {
+    displaySummary(summary, chapters = []) {
         const summaryContent = document.getElementById('summary-content');
-        summaryContent.innerHTML = `<p>${this.escapeHtml(summary)}</p>`;
+        const videoId = this.currentVideo && this.currentVideo.videoId;
+
+        // Long videos are generated chapter by chapter; list the chapters under the summary
+        const chaptersHtml = (chapters || []).map(chapter => `
+            <div class="chapter-item">
+                <button class="watch-link chapter-time" onclick="echoPopup.openVideoAt('${videoId}', ${Number(chapter.startTime)})">
+                    ${this.formatTime(chapter.startTime)}
+                </button>
+                <div class="chapter-body">
+                    <div class="chapter-title">${this.escapeHtml(chapter.title)}</div>
+                    <p class="chapter-summary">${this.escapeHtml(chapter.summary)}</p>
+                </div>
+            </div>
+        `).join('');
+
+        summaryContent.innerHTML = `<p>${this.escapeHtml(summary)}</p>` +
+            (chaptersHtml ? `<div class="chapter-list">${chaptersHtml}</div>` : '');
     }
 
     /**
@@ -239,6 +1322,269 @@ class EchoPopup {
         ).join('');
     }
 
+    /**
+     * Load and display the highlights of the current video
+     */
+    async loadHighlights() {
+        const response = await this.sendMessageToBackground({
+            action: 'getHighlights',
+            videoId: this.currentVideo.videoId
+        });
+
+        this.displayHighlights(response.success ? response.data : []);
+    }
+
+    /**
+     * Display highlights
+     */
+    displayHighlights(highlights) {
+        const highlightsContent = document.getElementById('highlights-content');
+
+        if (highlights.length === 0) {
+            highlightsContent.innerHTML = `
+                <p class="section-empty">Select text in the video's transcript panel to highlight it.</p>
+            `;
+            return;
+        }
+
+        highlightsContent.innerHTML = highlights.map(highlight => `
+            <div class="highlight-item ${this.escapeHtml(highlight.color || 'yellow')}">
+                <div class="highlight-body">
+                    ${highlight.timestamp ? `<span class="highlight-time">${this.escapeHtml(highlight.timestamp)}</span>` : ''}
+                    <span class="highlight-text">${this.escapeHtml(highlight.text)}</span>
+                    ${highlight.note ? `<p class="highlight-note">${this.escapeHtml(highlight.note)}</p>` : ''}
+                </div>
+                <button class="delete-button" title="Delete highlight" 
+                        onclick="echoPopup.deleteHighlight('${highlight.id}')">✕</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Delete a highlight of the current video
+     */
+    async deleteHighlight(highlightId) {
+        const response = await this.sendMessageToBackground({
+            action: 'deleteHighlight',
+            videoId: this.currentVideo.videoId,
+            highlightId: highlightId
+        });
+
+        if (!response.success) {
+            this.showError('Failed to delete highlight');
+            return;
+        }
+
+        await this.loadHighlights();
+    }
+
+    /**
+     * Load and display the timestamped notes of the current video
+     */
+    async loadNotes() {
+        const response = await this.sendMessageToBackground({
+            action: 'getNotes',
+            videoId: this.currentVideo.videoId
+        });
+
+        this.displayNotes(response.success ? response.data : []);
+    }
+
+    /**
+     * Display timestamped notes
+     */
+    displayNotes(notes) {
+        const notesContent = document.getElementById('notes-content');
+
+        if (notes.length === 0) {
+            notesContent.innerHTML = `
+                <p class="section-empty">Use the "📝 Notes" button on the video page to take notes while watching.</p>
+            `;
+            return;
+        }
+
+        notesContent.innerHTML = notes.map(note => `
+            <div class="highlight-item note-item">
+                <div class="highlight-body">
+                    <span class="highlight-time">${this.escapeHtml(note.timestamp)}</span>
+                    <span class="highlight-text">${this.escapeHtml(note.text)}</span>
+                </div>
+                <button class="delete-button" title="Delete note" 
+                        onclick="echoPopup.deleteNote('${note.id}')">✕</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Delete a note of the current video
+     */
+    async deleteNote(noteId) {
+        const response = await this.sendMessageToBackground({
+            action: 'deleteNote',
+            videoId: this.currentVideo.videoId,
+            noteId: noteId
+        });
+
+        if (!response.success) {
+            this.showError('Failed to delete note');
+            return;
+        }
+
+        await this.loadNotes();
+    }
+
+    /**
+     * Switch between the Study and Ask tabs of the study view
+     */
+    showStudyTab(tabId) {
+        document.querySelectorAll('.study-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === tabId);
+        });
+        document.querySelectorAll('.study-tab-panel').forEach(panel => {
+            panel.classList.toggle('hidden', panel.id !== tabId);
+        });
+
+        if (tabId === 'ask-tab' && !this.chatHistory) {
+            this.loadChatHistory();
+        }
+    }
+
+    /**
+     * Load and display the Q&A history of the current video
+     */
+    async loadChatHistory() {
+        const response = await this.sendMessageToBackground({
+            action: 'getChatHistory',
+            videoId: this.currentVideo.videoId
+        });
+
+        this.chatHistory = response.success ? response.data : [];
+        this.displayChatMessages();
+    }
+
+    /**
+     * Display the Q&A history, optionally followed by a question still being answered
+     */
+    displayChatMessages(pendingQuestion = null) {
+        const chatMessages = document.getElementById('chat-messages');
+        const messages = this.chatHistory || [];
+
+        if (messages.length === 0 && !pendingQuestion) {
+            chatMessages.innerHTML = `
+                <p class="section-empty">Ask anything about this video. Answers are based on the transcript and link to the moments they come from.</p>
+            `;
+            return;
+        }
+
+        chatMessages.innerHTML = messages.map(message => this.createChatMessage(message)).join('') +
+            (pendingQuestion ? `
+                ${this.createChatMessage({ role: 'user', text: pendingQuestion })}
+                <div class="chat-message assistant pending">Searching the transcript...</div>
+            ` : '');
+
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    /**
+     * Create the HTML for a chat message, turning [n] citations into links to the video
+     */
+    createChatMessage(message) {
+        const citations = message.citations || [];
+        const videoId = this.currentVideo.videoId;
+
+        const text = this.escapeHtml(message.text).replace(/\[(\d+)\]/g, (marker, number) => {
+            const citation = citations.find(c => c.index === Number(number));
+            if (!citation) return marker;
+
+            return `<button class="chat-citation" title="${this.escapeHtml(citation.text).replace(/"/g, '&quot;')}"
+                        onclick="echoPopup.openVideoAt('${videoId}', ${Number(citation.startTime)})">▶ ${this.formatTime(citation.startTime)}</button>`;
+        });
+
+        const note = message.answeredBy === 'extractive' ?
+            '<p class="grader-note">No AI provider was available, so the matching parts of the transcript are shown.</p>' : '';
+
+        return `<div class="chat-message ${message.role}">${text}${note}</div>`;
+    }
+
+    /**
+     * Answer the question typed in the Ask tab from the video's transcript
+     */
+    async askQuestion() {
+        const input = document.getElementById('chat-input');
+        const sendButton = document.getElementById('chat-send');
+        const question = input.value.trim();
+
+        if (!question || this.chatController) return;
+
+        const videoId = this.currentVideo.videoId;
+        this.chatController = new AbortController();
+        sendButton.disabled = true;
+        input.value = '';
+        this.displayChatMessages(question);
+
+        try {
+            const settings = await this.getSettings();
+            const result = await answerVideoQuestion(await this.getVideoTranscript(videoId), question, {
+                history: this.chatHistory || [],
+                provider: createAIProvider(settings),
+                signal: this.chatController.signal
+            });
+
+            const response = await this.sendMessageToBackground({
+                action: 'addChatMessages',
+                videoId: videoId,
+                data: [
+                    { role: 'user', text: question },
+                    { role: 'assistant', text: result.answer, citations: result.citations, answeredBy: result.answeredBy }
+                ]
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save the conversation');
+            }
+
+            this.chatHistory = [...(this.chatHistory || []), ...response.data];
+            this.displayChatMessages();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+
+            console.error('Error answering question:', error);
+            this.showError(error.message);
+            input.value = question;
+            this.displayChatMessages();
+        } finally {
+            this.chatController = null;
+            sendButton.disabled = false;
+        }
+    }
+
+    /**
+     * Stop answering the current question, e.g. when leaving the study view
+     */
+    cancelQuestion() {
+        if (this.chatController) {
+            this.chatController.abort();
+        }
+    }
+
+    /**
+     * Delete the Q&A history of the current video
+     */
+    async clearChatHistory() {
+        const response = await this.sendMessageToBackground({
+            action: 'clearChatHistory',
+            videoId: this.currentVideo.videoId
+        });
+
+        if (!response.success) {
+            this.showError('Failed to clear the conversation');
+            return;
+        }
+
+        this.chatHistory = [];
+        this.displayChatMessages();
+    }
+
     /**
      * Display a quiz question
      */
@@ -255,39 +1601,243 @@ class EchoPopup {
         
         // Update question text
         questionText.textContent = question.question;
+
+        // Show which video a review card comes from
+        const questionSource = document.getElementById('question-source');
+        questionSource.textContent = question.videoTitle ? `From: ${question.videoTitle}` : '';
+        questionSource.classList.toggle('hidden', !question.videoTitle);
+
+        if (question.type === 'flashcard') {
+            this.displayFlashcard();
+            return;
+        }
+
+        document.getElementById('next-question').classList.remove('hidden');
+
+        // Reset selected answer
+        this.selectedAnswer = null;
+        this.answerSubmitted = false;
         
-        // Create options
-        optionsContainer.innerHTML = question.options.map((option, index) => `
-            <div class="option" data-index="${index}" onclick="echoPopup.selectOption(${index})">
-                ${this.escapeHtml(option)}
-            </div>
-        `).join('');
+        // Create the answer controls for the question type
+        optionsContainer.innerHTML = this.createAnswerControls(question);
         
-        // Reset submit button
-        submitButton.disabled = true;
+        // Reset submit button; an ordering always has an answer, the other types need one first
+        submitButton.disabled = getQuestionType(question) !== 'ordering';
         submitButton.textContent = 'Submit Answer';
         
         // Update progress
         this.updateQuizProgress();
-        
-        // Reset selected answer
+    }
+
+    /**
+     * Create the HTML for answering a question, depending on its type
+     */
+    createAnswerControls(question) {
+        const createOptions = (options, hint = '') => `
+            ${hint ? `<p class="question-hint">${hint}</p>` : ''}
+            ${options.map((option, index) => `
+                <div class="option" data-index="${index}" onclick="echoPopup.selectOption(${index})">
+                    ${this.escapeHtml(option)}
+                </div>
+            `).join('')}
+        `;
+
+        switch (getQuestionType(question)) {
+            case 'true-false':
+                return createOptions(['True', 'False']);
+
+            case 'multi-select':
+                return createOptions(question.options, 'Select all that apply.');
+
+            case 'fill-in-blank':
+                return `
+                    <input id="text-answer" class="text-answer" type="text" autocomplete="off"
+                           placeholder="Type the missing word or phrase"
+                           oninput="echoPopup.updateTextAnswer(this.value)"
+                           onkeydown="if (event.key === 'Enter') echoPopup.submitAnswer()">
+                `;
+
+            case 'short-answer':
+                return `
+                    <textarea id="text-answer" class="text-answer" rows="4"
+                              placeholder="Answer in your own words"
+                              oninput="echoPopup.updateTextAnswer(this.value)"></textarea>
+                `;
+
+            case 'ordering':
+                this.selectedAnswer = this.shuffleOrder(question.items.length);
+                return `
+                    <p class="question-hint">Put these in the correct order.</p>
+                    <ol id="ordering-list" class="ordering-list">${this.createOrderingItems(question)}</ol>
+                `;
+
+            default:
+                return createOptions(question.options);
+        }
+    }
+
+    /**
+     * Create the items of an ordering question in the learner's current order
+     */
+    createOrderingItems(question) {
+        const lastPosition = this.selectedAnswer.length - 1;
+
+        return this.selectedAnswer.map((itemIndex, position) => `
+            <li class="ordering-item">
+                <span>${this.escapeHtml(question.items[itemIndex])}</span>
+                <span class="ordering-controls">
+                    <button onclick="echoPopup.moveOrderingItem(${position}, -1)" ${position === 0 ? 'disabled' : ''}>↑</button>
+                    <button onclick="echoPopup.moveOrderingItem(${position}, 1)" ${position === lastPosition ? 'disabled' : ''}>↓</button>
+                </span>
+            </li>
+        `).join('');
+    }
+
+    /**
+     * Shuffle the item indexes of an ordering question, making sure they do not start in order
+     */
+    shuffleOrder(count) {
+        const order = this.shuffle(Array.from({ length: count }, (item, index) => index));
+
+        if (order.every((itemIndex, position) => itemIndex === position)) {
+            order.push(order.shift());
+        }
+        return order;
+    }
+
+    /**
+     * Move an item of an ordering question up (-1) or down (1)
+     */
+    moveOrderingItem(position, direction) {
+        const target = position + direction;
+        if (this.answerSubmitted || target < 0 || target >= this.selectedAnswer.length) return;
+
+        [this.selectedAnswer[position], this.selectedAnswer[target]] =
+            [this.selectedAnswer[target], this.selectedAnswer[position]];
+
+        const question = this.currentQuiz.quiz.questions[this.currentQuestionIndex];
+        document.getElementById('ordering-list').innerHTML = this.createOrderingItems(question);
+    }
+
+    /**
+     * Store a typed answer
+     */
+    updateTextAnswer(value) {
+        this.selectedAnswer = value.trim() ? value : null;
+        document.getElementById('submit-answer').disabled = this.selectedAnswer === null;
+    }
+
+    /**
+     * Display a key term card, to be recalled before revealing the answer
+     */
+    displayFlashcard() {
+        const optionsContainer = document.getElementById('options-container');
+        const submitButton = document.getElementById('submit-answer');
+
+        optionsContainer.innerHTML = `
+            <p class="flashcard-hint">Recall what this term means, then reveal the answer.</p>
+        `;
+
+        submitButton.disabled = false;
+        submitButton.textContent = 'Show Answer';
+
+        this.updateQuizProgress();
         this.selectedAnswer = null;
     }
 
+    /**
+     * Reveal the back of a key term card and ask the user to grade their recall
+     */
+    showFlashcardAnswer(question) {
+        const context = question.context;
+        const feedbackText = document.getElementById('feedback-text');
+
+        feedbackText.innerHTML = `
+            ${context ? 
+                `<strong>Mentioned at ${this.escapeHtml(context.timestamp || '')}</strong><br>
+                 "${this.escapeHtml(context.text)}"` :
+                `<strong>${this.escapeHtml(question.question)}</strong><br>Key term from this video.`}
+            <div class="grade-buttons">
+                <button class="grade-button again" onclick="echoPopup.gradeFlashcard(1)">Again</button>
+                <button class="grade-button" onclick="echoPopup.gradeFlashcard(3)">Hard</button>
+                <button class="grade-button" onclick="echoPopup.gradeFlashcard(4)">Good</button>
+                <button class="grade-button easy" onclick="echoPopup.gradeFlashcard(5)">Easy</button>
+            </div>
+        `;
+
+        // Grading moves on to the next card
+        document.getElementById('next-question').classList.add('hidden');
+        document.getElementById('feedback-container').classList.remove('hidden');
+        document.getElementById('submit-answer').disabled = true;
+    }
+
+    /**
+     * Grade a key term card and continue
+     */
+    async gradeFlashcard(quality) {
+        const question = this.currentQuiz.quiz.questions[this.currentQuestionIndex];
+
+        if (quality >= 3) {
+            this.quizScore++;
+        }
+
+        await this.recordCardReview(question.cardId, quality);
+        this.nextQuestion();
+    }
+
+    /**
+     * Reschedule a single card after it was answered
+     */
+    async recordCardReview(cardId, quality) {
+        try {
+            const response = await this.sendMessageToBackground({
+                action: 'reviewCard',
+                cardId: cardId,
+                quality: quality
+            });
+
+            if (!response.success) {
+                console.error('Error reviewing card:', response.error);
+            }
+        } catch (error) {
+            console.error('Error reviewing card:', error);
+        }
+    }
+
     /**
      * Select an option
      */
     selectOption(index) {
+        if (this.answerSubmitted) return;
+
+        const question = this.currentQuiz.quiz.questions[this.currentQuestionIndex];
+        const selectedOption = document.querySelector(`[data-index="${index}"]`);
+
+        // Multi-select questions toggle options instead of replacing the selection
+        if (getQuestionType(question) === 'multi-select') {
+            const selected = new Set(this.selectedAnswer || []);
+            if (selected.has(index)) {
+                selected.delete(index);
+            } else {
+                selected.add(index);
+            }
+
+            selectedOption.classList.toggle('selected', selected.has(index));
+            this.selectedAnswer = selected.size > 0 ? Array.from(selected).sort((a, b) => a - b) : null;
+            document.getElementById('submit-answer').disabled = this.selectedAnswer === null;
+            return;
+        }
+
         // Remove previous selection
         document.querySelectorAll('.option').forEach(option => {
             option.classList.remove('selected');
         });
         
         // Select new option
-        const selectedOption = document.querySelector(`[data-index="${index}"]`);
         selectedOption.classList.add('selected');
         
-        this.selectedAnswer = index;
+        // True/false answers are stored as booleans: the first option is "True"
+        this.selectedAnswer = getQuestionType(question) === 'true-false' ? index === 0 : index;
         
         // Enable submit button
         document.getElementById('submit-answer').disabled = false;
@@ -296,44 +1846,112 @@ class EchoPopup {
     /**
      * Submit answer
      */
-    submitAnswer() {
-        if (this.selectedAnswer === null) return;
-        
+    async submitAnswer() {
         const question = this.currentQuiz.quiz.questions[this.currentQuestionIndex];
-        const isCorrect = this.selectedAnswer === question.correctAnswer;
+
+        if (question.type === 'flashcard') {
+            this.showFlashcardAnswer(question);
+            return;
+        }
+
+        if (this.selectedAnswer === null || this.answerSubmitted) return;
+        this.answerSubmitted = true;
         
-        if (isCorrect) {
-            this.quizScore++;
+        // Disable submit button and typed answers
+        const submitButton = document.getElementById('submit-answer');
+        submitButton.disabled = true;
+        const textAnswer = document.getElementById('text-answer');
+        if (textAnswer) {
+            textAnswer.readOnly = true;
         }
+        document.querySelectorAll('.ordering-controls button').forEach(button => {
+            button.disabled = true;
+        });
+
+        // Free-text answers are graded by the AI provider; partially correct answers earn part of a point
+        let result;
+        if (getQuestionType(question) === 'short-answer') {
+            submitButton.textContent = 'Grading...';
+            result = await this.gradeFreeTextAnswer(question, this.selectedAnswer);
+            submitButton.textContent = 'Submit Answer';
+        } else {
+            result = scoreAnswer(question, this.selectedAnswer);
+        }
+        this.quizScore += result.score;
+
+        // Each question is scheduled on its own, independently of the video
+        const cardId = question.cardId ||
+            this.getCardId(this.currentVideo.videoId, 'question', question.question);
+        this.recordCardReview(cardId, result.isCorrect ? 4 : (result.score >= 0.5 ? 3 : 1));
         
         // Show feedback
-        this.showFeedback(isCorrect, question.explanation);
-        
-        // Disable submit button
-        document.getElementById('submit-answer').disabled = true;
+        this.showFeedback(result, question);
+    }
+
+    /**
+     * Grade a free-text answer with the configured AI provider and the video's transcript
+     */
+    async gradeFreeTextAnswer(question, answer) {
+        const videoId = question.videoId || (this.currentVideo && this.currentVideo.videoId);
+        const settings = await this.getSettings();
+
+        return await gradeFreeTextAnswer(question, answer, {
+            transcript: await this.getVideoTranscript(videoId),
+            provider: createAIProvider(settings)
+        });
+    }
+
+    /**
+     * Get the stored transcript of a video, keeping it for the rest of the session
+     */
+    async getVideoTranscript(videoId) {
+        if (!videoId) return [];
+
+        if (!this.transcriptCache[videoId]) {
+            const response = await this.sendMessageToBackground({ action: 'getTranscript', videoId: videoId });
+            if (!response.success) {
+                console.error('Error loading transcript:', response.error);
+                return [];
+            }
+            this.transcriptCache[videoId] = response.data.transcript;
+        }
+
+        return this.transcriptCache[videoId];
     }
 
     /**
      * Show feedback for the answer
+     * @param {Object} result - { score, isCorrect } from scoreAnswer
+     * @param {Object} question - The answered question
      */
-    showFeedback(isCorrect, explanation) {
+    showFeedback(result, question) {
         const options = document.querySelectorAll('.option');
-        const correctIndex = this.currentQuiz.quiz.questions[this.currentQuestionIndex].correctAnswer;
+        const correctIndexes = this.getCorrectOptionIndexes(question);
+        const selectedIndexes = this.getSelectedOptionIndexes(question);
         
         // Highlight correct and incorrect answers
         options.forEach((option, index) => {
-            if (index === correctIndex) {
+            if (correctIndexes.includes(index)) {
                 option.classList.add('correct');
-            } else if (index === this.selectedAnswer && !isCorrect) {
+            } else if (selectedIndexes.includes(index)) {
                 option.classList.add('incorrect');
             }
         });
+
+        let verdict = 'Incorrect';
+        if (result.isCorrect) {
+            verdict = 'Correct!';
+        } else if (result.score > 0) {
+            verdict = `Partially correct (${Math.round(result.score * 100)}%)`;
+        }
         
         // Show feedback text
         const feedbackText = document.getElementById('feedback-text');
         feedbackText.innerHTML = `
-            <strong>${isCorrect ? 'Correct!' : 'Incorrect'}</strong><br>
-            ${this.escapeHtml(explanation)}
+            <strong>${verdict}</strong><br>
+            ${this.createAnswerDetails(question, result)}
+            ${this.escapeHtml(question.explanation)}
+            ${this.createWatchLink(question)}
         `;
         
         // Show feedback container
@@ -348,6 +1966,125 @@ class EchoPopup {
         }
     }
 
+    /**
+     * Indexes of the options that are correct, for question types answered with options
+     */
+    getCorrectOptionIndexes(question) {
+        switch (getQuestionType(question)) {
+            case 'multiple-choice':
+                return [question.correctAnswer];
+            case 'true-false':
+                return [question.correctAnswer ? 0 : 1];
+            case 'multi-select':
+                return question.correctAnswers;
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Indexes of the options the learner selected, for question types answered with options
+     */
+    getSelectedOptionIndexes(question) {
+        if (this.selectedAnswer === null) return [];
+
+        switch (getQuestionType(question)) {
+            case 'multiple-choice':
+                return [this.selectedAnswer];
+            case 'true-false':
+                return [this.selectedAnswer ? 0 : 1];
+            case 'multi-select':
+                return this.selectedAnswer;
+            default:
+                return [];
+        }
+    }
+
+    /**
+     * Show the expected answer for question types that are not answered with options
+     */
+    createAnswerDetails(question, result) {
+        switch (getQuestionType(question)) {
+            case 'fill-in-blank':
+                return result.isCorrect ? '' : `
+                    <p class="answer-detail">Answer: <strong>${this.escapeHtml(question.correctAnswer)}</strong></p>
+                `;
+
+            case 'ordering':
+                return result.isCorrect ? '' : `
+                    <p class="answer-detail">Correct order:</p>
+                    <ol class="answer-detail">
+                        ${question.items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}
+                    </ol>
+                `;
+
+            case 'short-answer':
+                return `
+                    ${result.feedback ? `<p class="answer-detail">${this.escapeHtml(result.feedback)}</p>` : ''}
+                    ${result.missedPoints && result.missedPoints.length > 0 ? `
+                        <p class="answer-detail">Missed:</p>
+                        <ul class="answer-detail">
+                            ${result.missedPoints.map(point => `<li>${this.escapeHtml(point)}</li>`).join('')}
+                        </ul>
+                    ` : ''}
+                    <p class="answer-detail">Model answer: ${this.escapeHtml(question.modelAnswer)}</p>
+                    <p class="answer-detail grader-note">
+                        ${result.gradedBy === 'ai' ? 'Graded by AI' : 'Graded by matching key words (AI grading unavailable)'}
+                    </p>
+                `;
+
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Create the "Watch this part" link for a question's source timestamp
+     */
+    createWatchLink(question) {
+        const source = question.sourceTimestamp;
+        const videoId = question.videoId || (this.currentVideo && this.currentVideo.videoId);
+
+        if (!source || !videoId) return '';
+
+        return `
+            <button class="watch-link" onclick="echoPopup.openVideoAt('${videoId}', ${Number(source.start)})">
+                ▶ Watch this part (${this.formatTime(source.start)}–${this.formatTime(source.end)})
+            </button>
+        `;
+    }
+
+    /**
+     * Open a video at the given time, seeking an already open tab when there is one
+     */
+    async openVideoAt(videoId, seconds) {
+        const startTime = Math.max(0, Math.floor(seconds));
+        const videoUrl = getVideoUrl(videoId, startTime);
+
+        try {
+            const tabs = await chrome.tabs.query({ url: 'https://www.youtube.com/watch*' });
+            const tab = tabs.find(t => new URL(t.url).searchParams.get('v') === videoId);
+
+            if (!tab) {
+                await chrome.tabs.create({ url: videoUrl });
+                return;
+            }
+
+            try {
+                await chrome.tabs.sendMessage(tab.id, { action: 'seekTo', time: startTime });
+            } catch (error) {
+                // The content script is not running in this tab, so reload it at the timestamp
+                await chrome.tabs.update(tab.id, { url: videoUrl });
+            }
+
+            await chrome.tabs.update(tab.id, { active: true });
+            await chrome.windows.update(tab.windowId, { focused: true });
+        } catch (error) {
+            console.error('Error opening video:', error);
+            this.showError('Could not open the video');
+        }
+    }
+
     /**
      * Move to next question
      */
@@ -377,12 +2114,55 @@ class EchoPopup {
         
         finalScore.innerHTML = `
             <div class="score-display">
-                <div class="score-number">${this.quizScore}/${totalQuestions}</div>
+                <div class="score-number">${Math.round(this.quizScore * 10) / 10}/${totalQuestions}</div>
                 <div class="score-percentage">${percentage}%</div>
             </div>
         `;
         
         quizComplete.classList.remove('hidden');
+
+        if (!this.reviewMode && this.currentVideo) {
+            this.recordQuizResult();
+        }
+    }
+
+    /**
+     * Store the quiz score for the current video and report a change of difficulty
+     */
+    async recordQuizResult() {
+        const response = await this.sendMessageToBackground({
+            action: 'recordQuizResult',
+            videoId: this.currentVideo.videoId,
+            data: {
+                score: this.quizScore,
+                totalQuestions: this.currentQuiz.quiz.questions.length,
+                difficulty: this.getSessionDifficulty()
+            }
+        });
+
+        if (!response.success) {
+            console.error('Error recording quiz result:', response.error);
+            return;
+        }
+
+        const { difficulty, previousDifficulty } = response.data;
+        this.currentVideo.difficulty = difficulty;
+
+        if (difficulty !== previousDifficulty) {
+            const direction = this.difficultyRank(difficulty) > this.difficultyRank(previousDifficulty) ?
+                'raised' : 'lowered';
+            this.showNotification(
+                `Difficulty ${direction} to ${getDifficultyLevel(difficulty).label} for your next session`,
+                'info'
+            );
+        }
+    }
+
+    /**
+     * Position of a difficulty level, from easiest to hardest
+     */
+    difficultyRank(difficulty) {
+        return Object.keys(DIFFICULTY_LEVELS).indexOf(difficulty);
     }
 
     /**
@@ -396,21 +2176,27 @@ class EchoPopup {
     }
 
     /**
-     * Schedule review for the video
+     * Schedule review for the video based on the quiz score
      */
     async scheduleReview() {
         try {
-            // Calculate next review date (1 day from now)
-            const reviewDate = new Date();
-            reviewDate.setDate(reviewDate.getDate() + 1);
-            
-            await this.sendMessageToBackground({
+            const response = await this.sendMessageToBackground({
                 action: 'scheduleReview',
                 videoId: this.currentVideo.videoId,
-                reviewDate: reviewDate
+                score: this.quizScore,
+                totalQuestions: this.currentQuiz.quiz.questions.length
             });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to schedule review');
+            }
             
-            this.showNotification('Review scheduled successfully!', 'success');
+            const nextReview = new Date(response.data.nextReview).toLocaleDateString();
+            const days = response.data.interval;
+            this.showNotification(
+                `Next review in ${days} day${days !== 1 ? 's' : ''} (${nextReview})`,
+                'success'
+            );
         } catch (error) {
             console.error('Error scheduling review:', error);
             this.showNotification('Failed to schedule review', 'error');
@@ -457,8 +2243,8 @@ class EchoPopup {
      * Show library view
      */
     showLibraryView() {
-        document.getElementById('library-view').classList.add('active');
-        document.getElementById('quiz-view').classList.remove('active');
+        this.reviewMode = false;
+        this.showView('library-view');
         this.loadVideoLibrary();
     }
 
@@ -466,8 +2252,16 @@ class EchoPopup {
      * Show quiz view
      */
     showQuizView() {
-        document.getElementById('library-view').classList.remove('active');
-        document.getElementById('quiz-view').classList.add('active');
+        this.showView('quiz-view');
+    }
+
+    /**
+     * Make a single view active
+     */
+    showView(viewId) {
+        document.querySelectorAll('.view').forEach(view => {
+            view.classList.toggle('active', view.id === viewId);
+        });
     }
 
     /**
@@ -525,10 +2319,123 @@ class EchoPopup {
     }
 
     /**
-     * Show settings (placeholder)
+     * Show settings
+     */
+    async showSettings() {
+        const settings = await this.getSettings();
+
+        document.getElementById('ai-provider').value = settings.aiProvider;
+        document.getElementById('openai-base-url').value = settings.openaiBaseUrl;
+        document.getElementById('openai-model').value = settings.openaiModel;
+        document.getElementById('openai-api-key').value = settings.openaiApiKey;
+        this.updateProviderFields();
+
+        this.showView('settings-view');
+    }
+
+    /**
+     * Only show the endpoint fields when the OpenAI-compatible provider is selected
+     */
+    updateProviderFields() {
+        const provider = document.getElementById('ai-provider').value;
+        document.getElementById('openai-settings').classList.toggle('hidden', provider !== 'openai');
+    }
+
+    /**
+     * Read the settings form
+     */
+    readSettingsForm() {
+        return {
+            aiProvider: document.getElementById('ai-provider').value,
+            openaiBaseUrl: document.getElementById('openai-base-url').value.trim(),
+            openaiModel: document.getElementById('openai-model').value.trim(),
+            openaiApiKey: document.getElementById('openai-api-key').value.trim()
+        };
+    }
+
+    /**
+     * Get user settings
+     */
+    async getSettings() {
+        const response = await this.sendMessageToBackground({ action: 'getSettings' });
+        if (!response.success) {
+            throw new Error('Failed to load settings');
+        }
+        return response.data;
+    }
+
+    /**
+     * Save the settings form
+     */
+    async saveSettings() {
+        try {
+            const settings = this.readSettingsForm();
+
+            if (settings.aiProvider === 'openai') {
+                const granted = await this.requestEndpointPermission(settings.openaiBaseUrl);
+                if (!granted) {
+                    this.showError('Echo needs permission to reach the AI endpoint');
+                    return;
+                }
+            }
+
+            const response = await this.sendMessageToBackground({
+                action: 'saveSettings',
+                data: settings
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to save settings');
+            }
+
+            this.showNotification('Settings saved', 'success');
+        } catch (error) {
+            console.error('Error saving settings:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Ask for host permission to call the AI endpoint (localhost is always allowed)
+     */
+    async requestEndpointPermission(baseUrl) {
+        let origin;
+        try {
+            origin = new URL(baseUrl).origin;
+        } catch (error) {
+            throw new Error('Invalid endpoint URL');
+        }
+
+        const origins = [`${origin}/*`];
+        if (await chrome.permissions.contains({ origins })) {
+            return true;
+        }
+        return chrome.permissions.request({ origins });
+    }
+
+    /**
+     * Check that the selected AI provider responds
      */
-    showSettings() {
-        this.showNotification('Settings coming soon!', 'info');
+    async testAIProvider() {
+        try {
+            const settings = this.readSettingsForm();
+            const provider = createAIProvider(settings);
+
+            if (!(await provider.isAvailable())) {
+                throw new Error('The selected AI provider is not available');
+            }
+
+            if (settings.aiProvider === 'openai' && 
+                !(await this.requestEndpointPermission(settings.openaiBaseUrl))) {
+                throw new Error('Echo needs permission to reach the AI endpoint');
+            }
+
+            await provider.prompt('Reply with the single word OK.');
+            this.showNotification('AI provider is working', 'success');
+        } catch (error) {
+            console.error('Error testing AI provider:', error);
+            this.showError(`AI provider test failed: ${error.message}`);
+        }
     }
 
     /**
@@ -538,6 +2445,210 @@ class EchoPopup {
         this.showNotification('Help documentation coming soon!', 'info');
     }
 
+    /**
+     * Download a backup of the library and all study data
+     */
+    async exportBackup() {
+        const response = await this.sendMessageToBackground({ action: 'exportBackup' });
+
+        if (!response.success) {
+            this.showError(response.error || 'Failed to export backup');
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(`echo-backup-${date}.json`, JSON.stringify(response.data, null, 2), 'application/json');
+        this.showNotification(`Exported ${response.data.data.library.length} videos`, 'success');
+    }
+
+    /**
+     * Restore a backup file, merging it with the current library
+     */
+    async importBackup(file) {
+        try {
+            let backup;
+            try {
+                backup = JSON.parse(await file.text());
+            } catch (error) {
+                throw new Error('The file is not valid JSON');
+            }
+
+            const response = await this.sendMessageToBackground({
+                action: 'importBackup',
+                data: backup,
+                strategy: document.getElementById('import-strategy').value
+            });
+
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to import backup');
+            }
+
+            const videos = response.data.videos;
+            this.showNotification(
+                `Backup imported: ${videos.added} new video${videos.added !== 1 ? 's' : ''}, ` +
+                `${videos.updated} updated, ${videos.kept} kept`,
+                'success'
+            );
+        } catch (error) {
+            console.error('Error importing backup:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Export the flashcards of the current video to Anki
+     * @param {string} format - 'apkg', 'csv' or 'tsv'
+     */
+    async exportVideoToAnki(format) {
+        if (!format || !this.currentVideo || !this.currentQuiz) return;
+
+        const video = this.currentVideo;
+        await this.exportToAnki(video.title, [{
+            videoId: video.videoId,
+            title: video.title,
+            tags: video.tags,
+            studyModule: this.currentQuiz,
+            transcript: await this.getVideoTranscript(video.videoId)
+        }], format);
+    }
+
+    /**
+     * Export the flashcards of every studied video of a course to one Anki deck, in course order
+     */
+    async exportCourseToAnki(courseId, format) {
+        if (!format) return;
+
+        try {
+            const response = await this.sendMessageToBackground({
+                action: 'getCourseStudyModules',
+                courseId: courseId
+            });
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load course');
+            }
+
+            const { course, videos } = response.data;
+            const deckVideos = [];
+            for (const video of videos.filter(v => v.studyModule)) {
+                const libraryVideo = this.videos.find(v => v.videoId === video.videoId);
+                deckVideos.push({
+                    ...video,
+                    tags: libraryVideo ? libraryVideo.tags : [],
+                    transcript: await this.getVideoTranscript(video.videoId)
+                });
+            }
+
+            if (deckVideos.length === 0) {
+                this.showNotification('Study the videos of this course first; flashcards come from their study materials', 'info');
+                return;
+            }
+
+            await this.exportToAnki(course.name, deckVideos, format);
+        } catch (error) {
+            console.error('Error exporting course:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Download the key terms and quiz questions of videos as an Anki deck or import file
+     * @param {string} deckName - Name of the deck, also used for the file name
+     * @param {Array} videos - { videoId, title, tags, studyModule, transcript }
+     * @param {string} format - 'apkg', 'csv' or 'tsv'
+     */
+    async exportToAnki(deckName, videos, format) {
+        try {
+            const cards = createAnkiCards(videos);
+            if (cards.length === 0) {
+                this.showNotification('There are no flashcards to export', 'info');
+                return;
+            }
+
+            const filename = createFileName(deckName, 'echo-deck');
+
+            if (format === 'apkg') {
+                this.downloadFile(`${filename}.apkg`, await createAnkiPackage(deckName, cards), 'application/octet-stream');
+            } else {
+                this.downloadFile(`${filename}.${format}`, createAnkiTextExport(deckName, cards, format),
+                    format === 'csv' ? 'text/csv' : 'text/tab-separated-values');
+            }
+
+            this.showNotification(`Exported ${cards.length} flashcard${cards.length !== 1 ? 's' : ''}`, 'success');
+        } catch (error) {
+            console.error('Error exporting to Anki:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Download the study notes of the current video as a Markdown file
+     */
+    async exportNotesMarkdown() {
+        if (!this.currentVideo) return;
+
+        try {
+            const response = await this.sendMessageToBackground({
+                action: 'getStudyNotes',
+                videoId: this.currentVideo.videoId
+            });
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load study notes');
+            }
+
+            const filename = createFileName(this.currentVideo.title, 'echo-notes');
+            this.downloadFile(`${filename}.md`, createStudyNotesMarkdown(response.data), 'text/markdown');
+            this.showNotification('Study notes exported', 'success');
+        } catch (error) {
+            console.error('Error exporting study notes:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Open the printable study notes of the current video in a new tab
+     */
+    async openPrintableNotes() {
+        if (!this.currentVideo) return;
+
+        const url = chrome.runtime.getURL(`src/html/print.html?videoId=${encodeURIComponent(this.currentVideo.videoId)}`);
+        await chrome.tabs.create({ url: url });
+    }
+
+    /**
+     * Save text or binary data as a file in the user's downloads
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Revoked later so the download has started
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Format seconds as a timestamp (m:ss or h:mm:ss)
+     */
+    formatTime(totalSeconds) {
+        return formatTime(totalSeconds);
+    }
+
+    /**
+     * Return a shuffled copy of an array
+     */
+    shuffle(items) {
+        const shuffled = [...items];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+
     /**
      * Send message to background script
      */
@@ -553,9 +2664,7 @@ class EchoPopup {
      * Escape HTML to prevent XSS
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return escapeHtml(text);
     }
 }
 
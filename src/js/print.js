@@ -0,0 +1,44 @@
+/**
+ * Printable Study Notes for Echo Chrome Extension
+ * Shows the study notes of one video (print.html?videoId=...) laid out for printing or saving as PDF
+ */
+
+class EchoPrintPage {
+    constructor() {
+        this.videoId = new URLSearchParams(window.location.search).get('videoId');
+        this.init();
+    }
+
+    /**
+     * Load the study notes and open the print dialog
+     */
+    async init() {
+        const container = document.getElementById('study-notes');
+
+        document.getElementById('print-button').addEventListener('click', () => {
+            window.print();
+        });
+
+        document.getElementById('include-answers').addEventListener('change', (event) => {
+            document.body.classList.toggle('no-answers', !event.target.checked);
+        });
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getStudyNotes', videoId: this.videoId });
+            if (!response.success) {
+                throw new Error(response.error || 'Failed to load study notes');
+            }
+
+            document.title = `${response.data.video.title} - Study Notes`;
+            container.innerHTML = createStudyNotesHtml(response.data);
+
+            window.print();
+        } catch (error) {
+            console.error('Error loading study notes:', error);
+            container.innerHTML = `<p class="error">${escapeHtml(error.message)}</p>`;
+        }
+    }
+}
+
+// Initialize the print page
+const echoPrintPage = new EchoPrintPage();
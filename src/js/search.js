@@ -0,0 +1,232 @@
+/**
+ * Library Search Index for Echo Chrome Extension
+ * Full-text inverted index over video titles, channels, tags, study modules, notes and transcripts
+ * Uses the word splitting in utils.js, which must be loaded first.
+ */
+
+class LibrarySearchIndex {
+    constructor() {
+        // docId -> { videoId, field, text, time }
+        this.documents = {};
+        // term -> { docId: term frequency }
+        this.postings = {};
+        // videoId -> [docId]
+        this.videoDocuments = {};
+        this.nextDocumentId = 1;
+
+        // Matches in more specific fields rank higher than a mention somewhere in a transcript
+        this.fieldWeights = {
+            title: 3,
+            channel: 2,
+            tag: 2,
+            keyTerm: 2.5,
+            summary: 1.5,
+            note: 1.5,
+            transcript: 1
+        };
+
+        // Transcript segments are indexed in passages of this many seconds
+        this.transcriptPassageDuration = 30;
+    }
+
+    /**
+     * Index (or re-index) everything searchable about a video, replacing its previous entries
+     * @param {Object} video - Library entry ({ videoId, title, channelName, tags, notes })
+     * @param {Object} content - { studyModule, transcript, notes } where transcript is a segment array
+     *     and notes are the timestamped notes of the video
+     */
+    setVideo(video, content = {}) {
+        const videoId = video.videoId;
+        this.removeVideo(videoId);
+
+        const documents = [
+            { field: 'title', text: video.title },
+            { field: 'channel', text: video.channelName },
+            { field: 'note', text: video.notes },
+            ...(video.tags || []).map(tag => ({ field: 'tag', text: tag }))
+        ];
+
+        const studyModule = content.studyModule;
+        if (studyModule) {
+            documents.push({ field: 'summary', text: studyModule.summary });
+            (studyModule.keyTerms || []).forEach(keyTerm => {
+                documents.push({ field: 'keyTerm', text: keyTerm });
+            });
+        }
+
+        (content.notes || []).forEach(note => {
+            documents.push({ field: 'note', text: note.text, time: note.time });
+        });
+
+        this.groupTranscriptPassages(content.transcript || []).forEach(passage => {
+            documents.push({ field: 'transcript', text: passage.text, time: passage.startTime });
+        });
+
+        this.videoDocuments[videoId] = documents
+            .filter(document => typeof document.text === 'string' && document.text.trim())
+            .map(document => this.addDocument({ videoId, time: null, ...document }));
+    }
+
+    /**
+     * Remove every entry of a video from the index
+     */
+    removeVideo(videoId) {
+        (this.videoDocuments[videoId] || []).forEach(docId => {
+            const document = this.documents[docId];
+            new Set(this.tokenize(document.text)).forEach(term => {
+                delete this.postings[term][docId];
+                if (Object.keys(this.postings[term]).length === 0) {
+                    delete this.postings[term];
+                }
+            });
+            delete this.documents[docId];
+        });
+
+        delete this.videoDocuments[videoId];
+    }
+
+    /**
+     * Add a single document to the index
+     * @returns {number} The document ID
+     */
+    addDocument(document) {
+        const docId = this.nextDocumentId++;
+        this.documents[docId] = document;
+
+        this.tokenize(document.text).forEach(term => {
+            this.postings[term] = this.postings[term] || {};
+            this.postings[term][docId] = (this.postings[term][docId] || 0) + 1;
+        });
+
+        return docId;
+    }
+
+    /**
+     * Search the library. Every query word must match; the last one may be a prefix, so results
+     * update while the user types.
+     * @param {string} query - Search text
+     * @param {Object} options - { limit, matchesPerVideo }
+     * @returns {Array} Videos ordered by relevance: { videoId, score, matches } where matches are
+     *     { field, snippet, time } with time in seconds (null for matches without a timestamp)
+     */
+    search(query, options = {}) {
+        const limit = options.limit || 20;
+        const matchesPerVideo = options.matchesPerVideo || 3;
+
+        const queryTerms = Array.from(new Set(this.tokenize(query)));
+        if (queryTerms.length === 0) return [];
+
+        const lastWord = splitWords(query).pop();
+        const prefixTerm = /[\p{L}\p{M}\p{N}]$/u.test(query) && lastWord ? stemWord(lastWord) : null;
+
+        // Score each document with TF-IDF over the terms (and term prefixes) it contains
+        const documentCount = Object.keys(this.documents).length;
+        const termScores = queryTerms.map(term => {
+            const matchingTerms = term === prefixTerm ?
+                Object.keys(this.postings).filter(indexed => indexed.startsWith(term)) :
+                (this.postings[term] ? [term] : []);
+
+            const scores = {};
+            matchingTerms.forEach(indexed => {
+                const postings = this.postings[indexed];
+                const idf = Math.log(1 + documentCount / Object.keys(postings).length);
+
+                Object.entries(postings).forEach(([docId, frequency]) => {
+                    const score = idf * (1 + Math.log(frequency));
+                    scores[docId] = Math.max(scores[docId] || 0, score);
+                });
+            });
+
+            return scores;
+        });
+
+        const documentScores = {};
+        termScores.forEach(scores => {
+            Object.entries(scores).forEach(([docId, score]) => {
+                documentScores[docId] = (documentScores[docId] || 0) + score;
+            });
+        });
+
+        // Group by video; a video matches when every query term occurs somewhere in it
+        const videos = {};
+        Object.entries(documentScores).forEach(([docId, score]) => {
+            const document = this.documents[docId];
+            const videoResult = videos[document.videoId] = videos[document.videoId] ||
+                { videoId: document.videoId, score: 0, matchedTerms: new Set(), documents: [] };
+
+            termScores.forEach((scores, i) => {
+                if (scores[docId]) videoResult.matchedTerms.add(i);
+            });
+            videoResult.documents.push({ document, score: score * this.fieldWeights[document.field] });
+        });
+
+        return Object.values(videos)
+            .filter(videoResult => videoResult.matchedTerms.size === queryTerms.length)
+            .map(videoResult => {
+                const ranked = videoResult.documents.sort((a, b) => b.score - a.score);
+                return {
+                    videoId: videoResult.videoId,
+                    score: ranked.slice(0, matchesPerVideo).reduce((total, match) => total + match.score, 0),
+                    matches: ranked.slice(0, matchesPerVideo).map(match => ({
+                        field: match.document.field,
+                        snippet: this.createSnippet(match.document.text, queryTerms, prefixTerm),
+                        time: match.document.time
+                    }))
+                };
+            })
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    /**
+     * Group transcript segments into passages so a match can point to a moment in the video
+     */
+    groupTranscriptPassages(segments) {
+        const passages = [];
+        let current = null;
+
+        segments.forEach(segment => {
+            const startTime = segment.startTime || 0;
+
+            if (!current || startTime - current.startTime >= this.transcriptPassageDuration) {
+                current = { startTime: startTime, texts: [] };
+                passages.push(current);
+            }
+            current.texts.push(segment.text);
+        });
+
+        return passages.map(passage => ({
+            startTime: passage.startTime,
+            text: passage.texts.join(' ')
+        }));
+    }
+
+    /**
+     * Cut the part of a text around the first matching word
+     */
+    createSnippet(text, queryTerms, prefixTerm, maxLength = 140) {
+        const clean = text.replace(/\s+/g, ' ').trim();
+        if (clean.length <= maxLength) return clean;
+
+        const words = clean.split(' ');
+        const matchIndex = words.findIndex(word => {
+            const term = stemWord(splitWords(word).join(''));
+            return queryTerms.includes(term) || (prefixTerm && term.startsWith(prefixTerm));
+        });
+
+        let start = Math.max(0, matchIndex - 6);
+        let snippet = words.slice(start).join(' ');
+        if (snippet.length > maxLength) {
+            snippet = snippet.slice(0, maxLength).replace(/\s\S*$/, '') + '…';
+        }
+
+        return (start > 0 ? '…' : '') + snippet;
+    }
+
+    /**
+     * Split text into indexed terms
+     */
+    tokenize(text) {
+        return tokenizeText(text);
+    }
+}
@@ -0,0 +1,172 @@
+/**
+ * Transcript Service for Echo Chrome Extension
+ * Retrieves YouTube captions for any video ID without needing an open video tab
+ */
+
+class TranscriptService {
+    constructor() {
+        this.preferredLanguages = ['en'];
+    }
+
+    /**
+     * Download the transcript for a video from its caption track
+     * @param {string} videoId - YouTube video ID
+     * @returns {Promise<Object>} { segments, language, languageName, kind }
+     */
+    async getTranscript(videoId) {
+        const playerResponse = await this.fetchPlayerResponse(videoId);
+        const track = this.selectCaptionTrack(this.getCaptionTracks(playerResponse));
+
+        if (!track) {
+            throw new Error('No captions available for this video');
+        }
+
+        const segments = await this.fetchCaptionTrack(track);
+        if (segments.length === 0) {
+            throw new Error('Caption track is empty');
+        }
+
+        return {
+            segments: segments,
+            language: track.languageCode,
+            languageName: track.name?.simpleText || track.name?.runs?.[0]?.text || track.languageCode,
+            kind: track.kind === 'asr' ? 'asr' : 'manual'
+        };
+    }
+
+    /**
+     * Fetch the watch page and extract the embedded player response
+     */
+    async fetchPlayerResponse(videoId) {
+        const url = `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}&hl=en`;
+        const response = await fetch(url, { credentials: 'omit' });
+
+        if (!response.ok) {
+            throw new Error(`Failed to load video page (HTTP ${response.status})`);
+        }
+
+        const html = await response.text();
+        const playerResponse = this.extractJsonAssignment(html, 'ytInitialPlayerResponse');
+
+        if (!playerResponse) {
+            throw new Error('Could not find player data on the video page');
+        }
+
+        return playerResponse;
+    }
+
+    /**
+     * Extract the JSON object assigned to a variable in an HTML page, e.g. `var name = {...};`
+     * @param {string} source - Page HTML
+     * @param {string} variableName - Name of the variable holding the object
+     * @returns {Object|null} Parsed object or null if not found
+     */
+    extractJsonAssignment(source, variableName) {
+        const assignment = new RegExp(`${variableName}\\s*=\\s*\\{`).exec(source);
+        if (!assignment) return null;
+
+        const start = assignment.index + assignment[0].length - 1;
+        let depth = 0;
+        let inString = false;
+
+        // Walk the object literal, ignoring braces inside strings
+        for (let i = start; i < source.length; i++) {
+            const char = source[i];
+
+            if (inString) {
+                if (char === '\\') {
+                    i++;
+                } else if (char === '"') {
+                    inString = false;
+                }
+                continue;
+            }
+
+            if (char === '"') {
+                inString = true;
+            } else if (char === '{') {
+                depth++;
+            } else if (char === '}') {
+                depth--;
+                if (depth === 0) {
+                    try {
+                        return JSON.parse(source.slice(start, i + 1));
+                    } catch (error) {
+                        console.error(`Error parsing ${variableName}:`, error);
+                        return null;
+                    }
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the caption tracks listed in a player response
+     */
+    getCaptionTracks(playerResponse) {
+        return playerResponse?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+    }
+
+    /**
+     * Pick the best caption track: manual captions in a preferred language first,
+     * then auto-generated ones, then whatever is available
+     */
+    selectCaptionTrack(tracks) {
+        if (tracks.length === 0) return null;
+
+        const isPreferred = track => this.preferredLanguages.some(language =>
+            track.languageCode === language || track.languageCode.startsWith(`${language}-`)
+        );
+
+        return tracks.find(track => isPreferred(track) && track.kind !== 'asr') ||
+            tracks.find(track => isPreferred(track)) ||
+            tracks.find(track => track.kind !== 'asr') ||
+            tracks[0];
+    }
+
+    /**
+     * Download a caption track and convert it to transcript segments
+     * @returns {Promise<Array>} Segments with timestamp, text, startTime and duration
+     */
+    async fetchCaptionTrack(track) {
+        const url = new URL(track.baseUrl);
+        url.searchParams.set('fmt', 'json3');
+
+        const response = await fetch(url.toString(), { credentials: 'omit' });
+        if (!response.ok) {
+            throw new Error(`Failed to download captions (HTTP ${response.status})`);
+        }
+
+        const captions = await response.json();
+
+        return (captions.events || [])
+            .filter(event => Array.isArray(event.segs))
+            .map(event => {
+                const startTime = Math.floor((event.tStartMs || 0) / 1000);
+                return {
+                    timestamp: this.formatTimestamp(startTime),
+                    text: event.segs.map(seg => seg.utf8 || '').join('').replace(/\s+/g, ' ').trim(),
+                    startTime: startTime,
+                    duration: (event.dDurationMs || 0) / 1000
+                };
+            })
+            .filter(segment => segment.text);
+    }
+
+    /**
+     * Format seconds as a YouTube-style timestamp (m:ss or h:mm:ss)
+     */
+    formatTimestamp(totalSeconds) {
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const paddedSeconds = String(seconds).padStart(2, '0');
+
+        if (hours > 0) {
+            return `${hours}:${String(minutes).padStart(2, '0')}:${paddedSeconds}`;
+        }
+        return `${minutes}:${paddedSeconds}`;
+    }
+}
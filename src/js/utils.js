@@ -0,0 +1,98 @@
+/**
+ * Shared Helpers for Echo Chrome Extension
+ * Formatting used by the popup, the exports and the printable study notes, and the word
+ * splitting used by the library search and the Ask tab
+ */
+
+// Words left out of search terms
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'can', 'had', 'her', 'was', 'one',
+    'our', 'out', 'has', 'his', 'how', 'its', 'who', 'did', 'get', 'him', 'she', 'too', 'use',
+    'that', 'with', 'have', 'this', 'will', 'your', 'from', 'they', 'been', 'were', 'said',
+    'each', 'which', 'their', 'what', 'there', 'when', 'then', 'them', 'than', 'into', 'also',
+    'just', 'like', 'some', 'about', 'would', 'could', 'should', 'these', 'those', 'does'
+]);
+
+/**
+ * Escape text for use in HTML, including attribute values
+ */
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format seconds as a timestamp (m:ss or h:mm:ss)
+ */
+function formatTime(totalSeconds) {
+    const rounded = Math.max(0, Math.floor(totalSeconds || 0));
+    const hours = Math.floor(rounded / 3600);
+    const minutes = Math.floor((rounded % 3600) / 60);
+    const seconds = String(rounded % 60).padStart(2, '0');
+
+    return hours > 0 ?
+        `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` :
+        `${minutes}:${seconds}`;
+}
+
+/**
+ * Link to a YouTube video, starting at the given time if there is one
+ */
+function getVideoUrl(videoId, seconds = null) {
+    const url = `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`;
+    return typeof seconds === 'number' && seconds >= 0 ? `${url}&t=${Math.floor(seconds)}s` : url;
+}
+
+/**
+ * Turn a title into a file name without characters file systems reject
+ * @param {string} name - Title of the video, course or deck
+ * @param {string} fallback - Name to use when nothing is left of the title
+ */
+function createFileName(name, fallback) {
+    return String(name || '').replace(/[^\p{L}\p{N} _-]+/gu, '').trim().replace(/\s+/g, '-').slice(0, 60) || fallback;
+}
+
+/**
+ * Split text into lowercase words. Letters, combining marks and digits of every script count,
+ * so transcripts in any language are split into whole words.
+ */
+function splitWords(text) {
+    return String(text || '').normalize('NFC').toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [];
+}
+
+/**
+ * Reduce a word to a simple stem so regular variants match, e.g. "vectors" and "vector"
+ */
+function stemWord(word) {
+    if (word.length <= 4) return word;
+
+    return word
+        .replace(/(ing|ed|ly)$/, '')
+        .replace(/ies$/, 'y')
+        .replace(/([^s])s$/, '$1');
+}
+
+/**
+ * Split text into search terms: stemmed words without stop words
+ */
+function tokenizeText(text) {
+    return splitWords(text)
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(word => stemWord(word));
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        escapeHtml,
+        formatTime,
+        getVideoUrl,
+        createFileName,
+        splitWords,
+        stemWord,
+        tokenizeText
+    };
+}